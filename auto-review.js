@@ -0,0 +1,122 @@
+// Auto-review rules for new task submissions (validating admin rules, matching a submission)
+
+const { parseRupees } = require('./money');
+
+// What a matching rule does with the submission; 'hold' leaves it for a human but records the match
+const AUTO_REVIEW_ACTIONS = ['approve', 'reject', 'hold'];
+
+// Recorded as reviewed_by on submissions decided by a rule
+const AUTO_REVIEWER = 'auto-review';
+
+const MAX_RULE_NAME_LENGTH = 80;
+const MAX_REJECT_REASON_LENGTH = 200;
+
+function optionalNumber(value, label, { min = 0, max = Infinity, integer = false } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    throw new Error(`${label} must be ${integer ? 'a whole number' : 'a number'} from ${min}${max === Infinity ? ' up' : ` to ${max}`}`);
+  }
+  return number;
+}
+
+function oneOf(value, allowed, label) {
+  const text = String(value || allowed[0]).trim().toLowerCase();
+  if (!allowed.includes(text)) {
+    throw new Error(`${label} must be ${allowed.join(', ')}`);
+  }
+  return text;
+}
+
+// Validate an admin's rule into the stored shape. Empty conditions are left out; a rule with no
+// conditions matches every submission.
+// input: { name, priority, enabled, action, reject_reason, conditions: { min_approval_rate, max_approval_rate,
+//   min_reviewed, min_account_age_days, max_account_age_days, categories, proof, timer, max_reward (rupees) } }
+function normalizeRule(input) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new Error('Rule name is required');
+  }
+  if (name.length > MAX_RULE_NAME_LENGTH) {
+    throw new Error(`Rule name cannot be longer than ${MAX_RULE_NAME_LENGTH} characters`);
+  }
+
+  const action = oneOf(input.action, AUTO_REVIEW_ACTIONS, 'Action');
+  const rejectReason = String(input.reject_reason || '').trim();
+  if (action === 'reject' && !rejectReason) {
+    throw new Error('Auto-reject rules need a rejection reason for the user');
+  }
+  if (rejectReason.length > MAX_REJECT_REASON_LENGTH) {
+    throw new Error(`Rejection reason cannot be longer than ${MAX_REJECT_REASON_LENGTH} characters`);
+  }
+
+  const raw = input.conditions || {};
+  const conditions = {
+    min_approval_rate: optionalNumber(raw.min_approval_rate, 'Minimum approval rate', { max: 100 }),
+    max_approval_rate: optionalNumber(raw.max_approval_rate, 'Maximum approval rate', { max: 100 }),
+    min_reviewed: optionalNumber(raw.min_reviewed, 'Minimum reviewed submissions', { integer: true }),
+    min_account_age_days: optionalNumber(raw.min_account_age_days, 'Minimum account age', { integer: true }),
+    max_account_age_days: optionalNumber(raw.max_account_age_days, 'Maximum account age', { integer: true }),
+    categories: (Array.isArray(raw.categories) ? raw.categories : String(raw.categories || '').split(','))
+      .map(c => String(c).trim().toLowerCase())
+      .filter(Boolean),
+    proof: oneOf(raw.proof, ['any', 'present', 'missing'], 'Proof condition'),
+    timer: oneOf(raw.timer, ['any', 'satisfied', 'not_satisfied'], 'Timer condition'),
+    max_reward: raw.max_reward === undefined || raw.max_reward === null || raw.max_reward === '' ? null : parseRupees(raw.max_reward, { allowZero: true })
+  };
+
+  if (conditions.min_approval_rate !== null && conditions.max_approval_rate !== null && conditions.min_approval_rate > conditions.max_approval_rate) {
+    throw new Error('Minimum approval rate cannot be above the maximum');
+  }
+
+  // Drop the "any" values so stored rules only list what they check
+  for (const [key, value] of Object.entries(conditions)) {
+    if (value === null || value === 'any' || (Array.isArray(value) && value.length === 0)) {
+      delete conditions[key];
+    }
+  }
+
+  return {
+    name,
+    priority: optionalNumber(input.priority, 'Priority', { integer: true, max: 10000 }) ?? 100,
+    enabled: input.enabled === undefined ? 1 : (input.enabled ? 1 : 0),
+    action,
+    reject_reason: action === 'reject' ? rejectReason : '',
+    conditions
+  };
+}
+
+// facts: { approvalRate (0-100, null with no reviewed submissions), reviewedCount, accountAgeDays,
+//   category, hasProof, timerSatisfied, reward (paise) }
+function matchesRule(rule, facts) {
+  const c = rule.conditions || {};
+
+  if (c.min_reviewed !== undefined && facts.reviewedCount < c.min_reviewed) return false;
+  if (c.min_approval_rate !== undefined && (facts.approvalRate === null || facts.approvalRate < c.min_approval_rate)) return false;
+  if (c.max_approval_rate !== undefined && (facts.approvalRate === null || facts.approvalRate > c.max_approval_rate)) return false;
+  if (c.min_account_age_days !== undefined && facts.accountAgeDays < c.min_account_age_days) return false;
+  if (c.max_account_age_days !== undefined && facts.accountAgeDays > c.max_account_age_days) return false;
+  if (c.categories && !c.categories.includes(String(facts.category || '').toLowerCase())) return false;
+  if (c.proof === 'present' && !facts.hasProof) return false;
+  if (c.proof === 'missing' && facts.hasProof) return false;
+  if (c.timer === 'satisfied' && !facts.timerSatisfied) return false;
+  if (c.timer === 'not_satisfied' && facts.timerSatisfied) return false;
+  if (c.max_reward !== undefined && facts.reward > c.max_reward) return false;
+
+  return true;
+}
+
+// First enabled rule that matches, by priority (lower first) then id; null = manual review
+function findMatchingRule(rules, facts) {
+  const ordered = rules
+    .filter(rule => rule.enabled)
+    .sort((a, b) => a.priority - b.priority || a.id - b.id);
+  return ordered.find(rule => matchesRule(rule, facts)) || null;
+}
+
+module.exports = {
+  AUTO_REVIEW_ACTIONS,
+  AUTO_REVIEWER,
+  normalizeRule,
+  findMatchingRule
+};
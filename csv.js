@@ -0,0 +1,69 @@
+// Minimal CSV helpers shared by payout files and statements (RFC 4180 quoting)
+
+function escapeCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+// User-entered text (names, descriptions) that a spreadsheet would read as a formula gets a leading
+// apostrophe, so "=HYPERLINK(...)" shows as text. Numbers written by us don't go through this.
+function toCsvText(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /^[=+\-@\t\r]/.test(text) ? "'" + text : text;
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+function toCsvLine(values) {
+  return values.map(escapeCsvValue).join(',');
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsvText,
+  parseCsv,
+  toCsvLine
+};
@@ -1,7 +1,14 @@
 const Database = require('better-sqlite3');
 const bcrypt = require('bcryptjs');
+const { isPaise, rupees, formatRupees } = require('./money');
+const { normalizeVpa, toPaymentDetails } = require('./payout-destination');
+const { AUTO_REVIEWER, findMatchingRule } = require('./auto-review');
+const { parseSteps, hasCheckedSteps } = require('./task-steps');
+const { TASK_REPORT_FLAG_THRESHOLD } = require('./task-feedback');
+const { describeReferralEvent } = require('./referral-plans');
 
-const db = new Database('cashbyking.db');
+// DATABASE_PATH picks another file (the tests use ':memory:')
+const db = new Database(process.env.DATABASE_PATH || 'cashbyking.db');
 
 // Helper function to generate random referral code
 function generateReferralCode() {
@@ -13,6 +20,145 @@ function generateReferralCode() {
   return code;
 }
 
+// All money columns hold integer paise (see money.js)
+const MONEY_COLUMNS = [
+  ['users', 'balance'],
+  ['users', 'held_balance'],
+  ['tasks', 'price'],
+  ['transactions', 'amount'],
+  ['ledger_entries', 'amount'],
+  ['daily_checkin', 'amount'],
+  ['referrals', 'reward_amount'],
+  ['withdrawals', 'amount'],
+  ['payout_batches', 'total_amount'],
+  ['balance_proposals', 'amount']
+];
+
+// Schema version from which money is stored as integer paise
+const PAISE_SCHEMA_VERSION = 1;
+
+function requirePaise(amount) {
+  if (!isPaise(amount)) {
+    throw new Error(`Amount must be a whole number of paise (got ${amount})`);
+  }
+  return amount;
+}
+
+// Ledger accounts
+const USER_WALLET_ACCOUNT = 'user_wallet';
+const USER_HOLD_ACCOUNT = 'user_hold';
+const PAYOUTS_ACCOUNT = 'liability:payouts';
+
+// Contra account for each transaction type (the other side of the user's wallet entry)
+const LEDGER_CONTRA_ACCOUNTS = {
+  task_reward: 'expense:task_rewards',
+  referral: 'expense:referrals',
+  daily_checkin: 'expense:daily_checkin',
+  telegram_join: 'expense:telegram_rewards',
+  admin_credit: 'equity:admin_adjustments',
+  admin_debit: 'equity:admin_adjustments',
+  withdrawal: PAYOUTS_ACCOUNT,
+  withdrawal_reversal: PAYOUTS_ACCOUNT,
+  withdrawal_fee: 'income:withdrawal_fees',
+  withdrawal_fee_refund: 'income:withdrawal_fees'
+};
+
+function getContraAccount(type) {
+  return LEDGER_CONTRA_ACCOUNTS[type] || `system:${type}`;
+}
+
+// Write the balanced pair of entries for one transaction (user wallet vs contra account)
+function writeLedgerEntries(transactionId, userId, amount, type, createdAt) {
+  const stmt = db.prepare(`
+    INSERT INTO ledger_entries (transaction_id, account, user_id, amount, created_at)
+    VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `);
+  stmt.run(transactionId, USER_WALLET_ACCOUNT, userId, amount, createdAt || null);
+  stmt.run(transactionId, getContraAccount(type), null, -amount, createdAt || null);
+}
+
+// Move an amount between two ledger accounts under an existing transaction
+function writeLedgerTransfer(transactionId, from, to, amount) {
+  const stmt = db.prepare(`
+    INSERT INTO ledger_entries (transaction_id, account, user_id, amount)
+    VALUES (?, ?, ?, ?)
+  `);
+  stmt.run(transactionId, from.account, from.userId || null, -amount);
+  stmt.run(transactionId, to.account, to.userId || null, amount);
+}
+
+// Withdrawal lifecycle: allowed next states and the timestamp column set on entering each state
+const WITHDRAWAL_TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['processing'],
+  processing: ['paid', 'failed']
+};
+
+const WITHDRAWAL_STATUS_TIMESTAMPS = {
+  approved: 'approved_at',
+  rejected: 'rejected_at',
+  processing: 'processing_at',
+  paid: 'paid_at',
+  failed: 'failed_at'
+};
+
+// Move a withdrawal to its next state, enforcing the allowed transitions
+function transitionWithdrawal(withdrawalId, toStatus, fields = {}) {
+  const withdrawal = db.prepare('SELECT * FROM withdrawals WHERE id = ?').get(withdrawalId);
+
+  if (!withdrawal) {
+    throw new Error('Withdrawal request not found');
+  }
+
+  const allowed = WITHDRAWAL_TRANSITIONS[withdrawal.status] || [];
+  if (!allowed.includes(toStatus)) {
+    throw new Error(`Cannot move withdrawal from ${withdrawal.status} to ${toStatus}`);
+  }
+
+  const sets = ['status = ?', `${WITHDRAWAL_STATUS_TIMESTAMPS[toStatus]} = CURRENT_TIMESTAMP`];
+  const values = [toStatus];
+  for (const column of ['admin_notes', 'payout_reference', 'payout_remarks']) {
+    if (fields[column] !== undefined) {
+      sets.push(`${column} = ?`);
+      values.push(fields[column]);
+    }
+  }
+
+  const result = db.prepare(`UPDATE withdrawals SET ${sets.join(', ')} WHERE id = ? AND status = ?`)
+    .run(...values, withdrawalId, withdrawal.status);
+
+  if (result.changes === 0) {
+    throw new Error(`Failed to move withdrawal to ${toStatus}`);
+  }
+
+  return withdrawal;
+}
+
+// Once a withdrawal has been approved, UPI payouts can only go to the registered UPI
+// (changed through an approved UPI change request, possibly with a cooling-off period)
+function checkUpiLock(userId, vpa, forWithdrawal = false) {
+  const user = db.prepare(`
+    SELECT upi_locked, registered_upi, upi_cooling_off_until, 
+      upi_cooling_off_until > CURRENT_TIMESTAMP as cooling_off 
+    FROM users WHERE id = ?
+  `).get(userId);
+
+  if (user && user.upi_locked && user.registered_upi.toLowerCase() !== vpa) {
+    throw new Error(`Your UPI is locked to ${user.registered_upi}`);
+  }
+
+  if (forWithdrawal && user && user.cooling_off) {
+    throw new Error(`Withdrawals to your new UPI are available after ${user.upi_cooling_off_until} UTC`);
+  }
+}
+
+// Give back the fee charged on a withdrawal that was never paid out (rejected or failed)
+function refundWithdrawalFee(withdrawal) {
+  if (withdrawal.fee_amount > 0 && withdrawal.fee_transaction_id) {
+    ledgerDb.post(withdrawal.user_id, withdrawal.fee_amount, 'withdrawal_fee_refund', `Withdrawal request #${withdrawal.id} fee refunded`);
+  }
+}
+
 // Create all required tables
 function initializeDatabase() {
   // Users table
@@ -25,7 +171,8 @@ function initializeDatabase() {
       phone TEXT UNIQUE NOT NULL,
       upi TEXT NOT NULL,
       password TEXT NOT NULL,
-      balance REAL DEFAULT 0,
+      balance INTEGER DEFAULT 0,
+      held_balance INTEGER DEFAULT 0,
       profile_photo TEXT DEFAULT '',
       verified_badge INTEGER DEFAULT 0,
       telegram_joined INTEGER DEFAULT 0,
@@ -67,6 +214,12 @@ function initializeDatabase() {
     // Column already exists
   }
 
+  try {
+    db.exec(`ALTER TABLE users ADD COLUMN held_balance INTEGER DEFAULT 0`);
+  } catch (e) {
+    // Column already exists
+  }
+
   // Add missing columns to withdrawals table (migration)
   try {
     db.exec(`ALTER TABLE withdrawals ADD COLUMN payment_method TEXT DEFAULT 'upi'`);
@@ -141,7 +294,7 @@ function initializeDatabase() {
       description TEXT NOT NULL,
       instruction TEXT NOT NULL,
       thumbnail TEXT DEFAULT '',
-      price REAL NOT NULL,
+      price INTEGER NOT NULL,
       timer INTEGER DEFAULT 0,
       steps TEXT DEFAULT '',
       task_url TEXT DEFAULT '',
@@ -156,6 +309,20 @@ function initializeDatabase() {
     db.exec(`ALTER TABLE tasks ADD COLUMN task_url TEXT DEFAULT ''`);
   } catch (e) {} // Column already exists
 
+  // Proof a task asks for: comma list of screenshot,text,url,username (empty = no proof needed)
+  try {
+    db.exec(`ALTER TABLE tasks ADD COLUMN proof_types TEXT DEFAULT ''`);
+  } catch (e) {} // Column already exists
+
+  try {
+    db.exec(`ALTER TABLE tasks ADD COLUMN proof_instructions TEXT DEFAULT ''`);
+  } catch (e) {} // Column already exists
+
+  // Seconds a user has to submit after starting a task (0 = no limit); tasks.timer is the minimum time on task
+  try {
+    db.exec(`ALTER TABLE tasks ADD COLUMN time_limit INTEGER DEFAULT 0`);
+  } catch (e) {} // Column already exists
+
   // Pending tasks table
   db.exec(`
     CREATE TABLE IF NOT EXISTS pending_tasks (
@@ -171,39 +338,392 @@ function initializeDatabase() {
     )
   `);
 
-  // Completed tasks (to hide from user dashboard)
+  // Proof attached to a submission. Screenshots store the file name under the proof upload
+  // directory in `value`; text, url and username proofs store the answer itself.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS submission_proofs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pending_task_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      value TEXT NOT NULL,
+      mime_type TEXT DEFAULT '',
+      file_size INTEGER DEFAULT 0,
+      sha256 TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (pending_task_id) REFERENCES pending_tasks(id)
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_submission_proofs_pending ON submission_proofs(pending_task_id)`);
+
+  // Task sessions: when a user started (opened) a task, used to enforce tasks.timer and tasks.time_limit on submit
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS task_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      task_id INTEGER NOT NULL,
+      task_url TEXT DEFAULT '',
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      submitted_at DATETIME DEFAULT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (task_id) REFERENCES tasks(id)
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_task_sessions_user_task ON task_sessions(user_id, task_id, id)`);
+
+  // Which session a submission came from and how long the user spent on the task (seconds)
+  try {
+    db.exec(`ALTER TABLE pending_tasks ADD COLUMN task_session_id INTEGER DEFAULT NULL`);
+  } catch (e) {} // Column already exists
+
+  try {
+    db.exec(`ALTER TABLE pending_tasks ADD COLUMN time_spent INTEGER DEFAULT NULL`);
+  } catch (e) {} // Column already exists
+
+  // Submission attempt per user and task (1 = first submission, 2 = first resubmission after a rejection, ...)
+  try {
+    db.exec(`ALTER TABLE pending_tasks ADD COLUMN attempt INTEGER DEFAULT 1`);
+  } catch (e) {} // Column already exists
+
+  // How many times a user may resubmit a task after it was rejected
+  try {
+    db.exec(`ALTER TABLE tasks ADD COLUMN max_resubmissions INTEGER DEFAULT 1`);
+  } catch (e) {} // Column already exists
+
+  // Optional task limits (NULL = no limit). Pending and approved submissions count against the
+  // completion cap, the budget (price per submission, paise) and the daily quota (UTC days).
+  // disabled_reason records why a task turned itself off: completion_cap, budget or expired.
+  const taskLimitMigrations = [
+    `ALTER TABLE tasks ADD COLUMN max_completions INTEGER DEFAULT NULL`,
+    `ALTER TABLE tasks ADD COLUMN budget INTEGER DEFAULT NULL`,
+    `ALTER TABLE tasks ADD COLUMN daily_quota INTEGER DEFAULT NULL`,
+    `ALTER TABLE tasks ADD COLUMN expires_at DATETIME DEFAULT NULL`,
+    `ALTER TABLE tasks ADD COLUMN disabled_reason TEXT DEFAULT ''`
+  ];
+  for (const migration of taskLimitMigrations) {
+    try {
+      db.exec(migration);
+    } catch (e) {} // Column already exists
+  }
+
+  // Publishing schedule (UTC, NULL = no bound): users only see a task between publish_at and
+  // unpublish_at. notify_on_publish asks for the "new task" notification when it goes live;
+  // published_notified_at records that it was sent.
+  const taskScheduleMigrations = [
+    `ALTER TABLE tasks ADD COLUMN publish_at DATETIME DEFAULT NULL`,
+    `ALTER TABLE tasks ADD COLUMN unpublish_at DATETIME DEFAULT NULL`,
+    `ALTER TABLE tasks ADD COLUMN notify_on_publish INTEGER DEFAULT 0`,
+    `ALTER TABLE tasks ADD COLUMN published_notified_at DATETIME DEFAULT NULL`
+  ];
+  for (const migration of taskScheduleMigrations) {
+    try {
+      db.exec(migration);
+    } catch (e) {} // Column already exists
+  }
+
+  // Task category, tags (comma list) and eligibility rules, checked on the server by getEligibilityFailure.
+  // referral_rule: any | referred | not_referred; phone_prefixes: comma list like "+91,+977" ('' = any).
+  const taskTargetingMigrations = [
+    `ALTER TABLE tasks ADD COLUMN category TEXT DEFAULT ''`,
+    `ALTER TABLE tasks ADD COLUMN tags TEXT DEFAULT ''`,
+    `ALTER TABLE tasks ADD COLUMN min_account_age_days INTEGER DEFAULT 0`,
+    `ALTER TABLE tasks ADD COLUMN min_completed_tasks INTEGER DEFAULT 0`,
+    `ALTER TABLE tasks ADD COLUMN requires_verified INTEGER DEFAULT 0`,
+    `ALTER TABLE tasks ADD COLUMN referral_rule TEXT DEFAULT 'any'`,
+    `ALTER TABLE tasks ADD COLUMN phone_prefixes TEXT DEFAULT ''`
+  ];
+  for (const migration of taskTargetingMigrations) {
+    try {
+      db.exec(migration);
+    } catch (e) {} // Column already exists
+  }
+
+  // Repeatable tasks: repeat_cadence is once | daily | weekly | total and repeat_limit is how many
+  // completions a user gets per period (per UTC day, per week from Monday, or in total).
+  try {
+    db.exec(`ALTER TABLE tasks ADD COLUMN repeat_cadence TEXT DEFAULT 'once'`);
+  } catch (e) {} // Column already exists
+
+  try {
+    db.exec(`ALTER TABLE tasks ADD COLUMN repeat_limit INTEGER DEFAULT 1`);
+  } catch (e) {} // Column already exists
+
+  // The period a submission belongs to ('' for once/total, the day for daily, the week's Monday for
+  // weekly) and which completion in that period it is for (1..repeat_limit)
+  try {
+    db.exec(`ALTER TABLE pending_tasks ADD COLUMN period_key TEXT DEFAULT ''`);
+  } catch (e) {} // Column already exists
+
+  try {
+    db.exec(`ALTER TABLE pending_tasks ADD COLUMN occurrence INTEGER DEFAULT 1`);
+  } catch (e) {} // Column already exists
+
+  // One active (pending or approved) submission per user, task, period and occurrence. Older databases
+  // can hold duplicates from repeated submits; the earliest approved (else earliest pending) row is kept
+  // and the rest are marked 'duplicate' so the unique index can be created.
+  const duplicateSubmissions = db.prepare(`
+    UPDATE pending_tasks
+    SET status = 'duplicate',
+        custom_reason = CASE WHEN status = 'approved' THEN 'Duplicate submission (was approved before duplicate protection)' ELSE 'Duplicate submission' END,
+        reviewed_at = COALESCE(reviewed_at, CURRENT_TIMESTAMP)
+    WHERE status IN ('pending', 'approved')
+    AND id <> (
+      SELECT keep.id FROM pending_tasks keep
+      WHERE keep.user_id = pending_tasks.user_id AND keep.task_id = pending_tasks.task_id
+      AND keep.period_key = pending_tasks.period_key AND keep.occurrence = pending_tasks.occurrence
+      AND keep.status IN ('pending', 'approved')
+      ORDER BY keep.status = 'approved' DESC, keep.id
+      LIMIT 1
+    )
+  `).run();
+  if (duplicateSubmissions.changes > 0) {
+    console.log(`Marked ${duplicateSubmissions.changes} duplicate task submissions`);
+  }
+
+  // Replaced by the per-period index below (repeatable tasks have several approved submissions)
+  db.exec(`DROP INDEX IF EXISTS idx_pending_tasks_active`);
+
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_tasks_occurrence
+    ON pending_tasks(user_id, task_id, period_key, occurrence) WHERE status IN ('pending', 'approved')
+  `);
+
+  // Only one submission per user and task waits for review at a time
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_tasks_waiting
+    ON pending_tasks(user_id, task_id) WHERE status = 'pending'
+  `);
+
+  // Moderation: a reviewer claims a batch of submissions for a while so two admins don't review the
+  // same ones; reviewed_by and the reward actually paid (from the task, in paise) are kept on the row
+  const moderationColumns = [
+    `ALTER TABLE pending_tasks ADD COLUMN claimed_by TEXT DEFAULT NULL`,
+    `ALTER TABLE pending_tasks ADD COLUMN claimed_at DATETIME DEFAULT NULL`,
+    `ALTER TABLE pending_tasks ADD COLUMN reviewed_by TEXT DEFAULT NULL`,
+    `ALTER TABLE pending_tasks ADD COLUMN reward INTEGER DEFAULT NULL`
+  ];
+  for (const statement of moderationColumns) {
+    try {
+      db.exec(statement);
+    } catch (e) {} // Column already exists
+  }
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_pending_tasks_status ON pending_tasks(status, submitted_at)`);
+
+  // Admin rules run on each new submission (see auto-review.js); conditions is a JSON object
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auto_review_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      priority INTEGER DEFAULT 100,
+      enabled INTEGER DEFAULT 1,
+      action TEXT NOT NULL,
+      reject_reason TEXT DEFAULT '',
+      conditions TEXT DEFAULT '{}',
+      updated_by TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Advertiser partners that confirm completions with signed postbacks (see postback.js). A task
+  // linked to a partner (tasks.advertiser_id) can be approved by that partner's postbacks.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS advertiser_partners (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      created_by TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      secret_rotated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  try {
+    db.exec(`ALTER TABLE tasks ADD COLUMN advertiser_id INTEGER DEFAULT NULL`);
+  } catch (e) {} // Column already exists
+
+  // Every postback we received; an approved transaction ID can't be used again (replay protection)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS postback_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      partner_id INTEGER,
+      txn_id TEXT,
+      user_id INTEGER,
+      task_id INTEGER,
+      pending_task_id INTEGER,
+      status TEXT NOT NULL,
+      message TEXT DEFAULT '',
+      ip TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_postback_events_txn
+    ON postback_events(partner_id, txn_id) WHERE status = 'approved'
+  `);
+
+  // The rule that matched a submission (name kept in case the rule is deleted) and what it did
+  const autoReviewColumns = [
+    `ALTER TABLE pending_tasks ADD COLUMN auto_rule_id INTEGER DEFAULT NULL`,
+    `ALTER TABLE pending_tasks ADD COLUMN auto_rule_name TEXT DEFAULT NULL`,
+    `ALTER TABLE pending_tasks ADD COLUMN auto_action TEXT DEFAULT NULL`
+  ];
+  for (const statement of autoReviewColumns) {
+    try {
+      db.exec(statement);
+    } catch (e) {} // Column already exists
+  }
+
+  // Task detail page views for the per-task funnel, at most one per user, task and day
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS task_views (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      view_date TEXT NOT NULL,
+      viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(task_id, user_id, view_date),
+      FOREIGN KEY (task_id) REFERENCES tasks(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Structured steps (see task-steps.js). auto_verify_steps approves a submission whose checked
+  // step answers are all correct; step inputs are stored as submission proofs with their step_index
+  // and, for steps with an expected answer, whether it was correct.
+  const taskStepColumns = [
+    `ALTER TABLE tasks ADD COLUMN auto_verify_steps INTEGER DEFAULT 0`,
+    `ALTER TABLE submission_proofs ADD COLUMN step_index INTEGER DEFAULT NULL`,
+    `ALTER TABLE submission_proofs ADD COLUMN correct INTEGER DEFAULT NULL`
+  ];
+  for (const statement of taskStepColumns) {
+    try {
+      db.exec(statement);
+    } catch (e) {} // Column already exists
+  }
+
+  // Steps saved as one-per-line text become info steps
+  const legacySteps = db.prepare(`SELECT id, steps FROM tasks WHERE steps <> '' AND steps NOT LIKE '[%'`).all();
+  const saveSteps = db.prepare('UPDATE tasks SET steps = ? WHERE id = ?');
+  for (const task of legacySteps) {
+    saveSteps.run(JSON.stringify(parseSteps(task.steps)), task.id);
+  }
+
+  // Completed tasks (to hide from user dashboard), one row per completion of a period
   db.exec(`
     CREATE TABLE IF NOT EXISTS completed_tasks (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
       task_id INTEGER NOT NULL,
+      period_key TEXT DEFAULT '',
+      occurrence INTEGER DEFAULT 1,
       completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id),
-      FOREIGN KEY (task_id) REFERENCES tasks(id),
-      UNIQUE(user_id, task_id)
+      FOREIGN KEY (task_id) REFERENCES tasks(id)
     )
   `);
 
+  // Older databases allowed one completion per user and task (UNIQUE(user_id, task_id)), which SQLite
+  // can't drop in place, so the table is rebuilt with the period columns
+  const completedTasksSql = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'completed_tasks'`).get().sql;
+  if (completedTasksSql.includes('UNIQUE(user_id, task_id)')) {
+    db.transaction(() => {
+      db.exec(`
+        CREATE TABLE completed_tasks_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          task_id INTEGER NOT NULL,
+          period_key TEXT DEFAULT '',
+          occurrence INTEGER DEFAULT 1,
+          completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id),
+          FOREIGN KEY (task_id) REFERENCES tasks(id)
+        )
+      `);
+      db.exec(`
+        INSERT INTO completed_tasks_new (id, user_id, task_id, completed_at)
+        SELECT id, user_id, task_id, completed_at FROM completed_tasks
+      `);
+      db.exec(`DROP TABLE completed_tasks`);
+      db.exec(`ALTER TABLE completed_tasks_new RENAME TO completed_tasks`);
+    })();
+    console.log('Rebuilt completed_tasks for repeatable tasks');
+  }
+
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_completed_tasks_period
+    ON completed_tasks(user_id, task_id, period_key, occurrence)
+  `);
+
   // Transactions table
   db.exec(`
     CREATE TABLE IF NOT EXISTS transactions (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
       type TEXT NOT NULL,
-      amount REAL NOT NULL,
+      amount INTEGER NOT NULL,
       reason TEXT DEFAULT '',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id)
     )
   `);
 
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_transactions_user_created ON transactions(user_id, created_at, id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_transactions_created ON transactions(created_at, id)`);
+
+  // Transaction amounts are signed (debits negative); older rows stored Math.abs(amount)
+  try {
+    db.exec(`UPDATE transactions SET amount = -ABS(amount) WHERE type IN ('withdrawal', 'admin_debit') AND amount > 0`);
+  } catch (e) {
+    console.error('Error migrating signed transaction amounts:', e);
+  }
+
+  // Ledger entries table - every transaction is written as balanced entries (sum = 0)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL,
+      account TEXT NOT NULL,
+      user_id INTEGER DEFAULT NULL,
+      amount INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_ledger_entries_account_user ON ledger_entries(account, user_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries(transaction_id)`);
+
+  // Backfill ledger entries for transactions written before the ledger existed
+  try {
+    const unposted = db.prepare(`
+      SELECT * FROM transactions
+      WHERE id NOT IN (SELECT DISTINCT transaction_id FROM ledger_entries)
+      ORDER BY id ASC
+    `).all();
+
+    if (unposted.length > 0) {
+      console.log('Backfilling ledger entries for transactions:', unposted.length);
+      db.transaction(() => {
+        for (const tran of unposted) {
+          writeLedgerEntries(tran.id, tran.user_id, tran.amount, tran.type, tran.created_at);
+        }
+      })();
+    }
+  } catch (e) {
+    console.error('Error backfilling ledger entries:', e);
+  }
+
   // Daily checkin table
   db.exec(`
     CREATE TABLE IF NOT EXISTS daily_checkin (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
       day INTEGER NOT NULL,
-      amount REAL NOT NULL,
+      amount INTEGER NOT NULL,
       claimed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (user_id) REFERENCES users(id)
     )
@@ -215,81 +735,400 @@ function initializeDatabase() {
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       referrer_id INTEGER NOT NULL,
       referred_id INTEGER NOT NULL,
-      reward_amount REAL DEFAULT 0,
+      reward_amount INTEGER DEFAULT 0,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (referrer_id) REFERENCES users(id),
       FOREIGN KEY (referred_id) REFERENCES users(id)
     )
   `);
 
-  // Withdrawals table - drop and recreate to fix schema
-  db.exec(`DROP TABLE IF EXISTS withdrawals`);
-  
+  // Referral commission plans (rewards: JSON, see referral-plans.js). New referrals get the active plan.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS referral_plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      levels INTEGER NOT NULL DEFAULT 1,
+      rewards TEXT NOT NULL DEFAULT '[]',
+      active INTEGER DEFAULT 0,
+      updated_by TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  try {
+    db.exec(`ALTER TABLE referrals ADD COLUMN plan_id INTEGER DEFAULT NULL`);
+  } catch (e) {} // Column already exists
+
+  // Every referral reward paid, against the referral of the user who reached the milestone.
+  // beneficiary_id is the referrer at `level` above them; milestone is the task count for 'tasks' (else 0).
+  // transaction_id is NULL for rewards paid before payouts were recorded.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS referral_payouts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      referral_id INTEGER NOT NULL,
+      plan_id INTEGER,
+      beneficiary_id INTEGER NOT NULL,
+      level INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      milestone INTEGER NOT NULL DEFAULT 0,
+      amount INTEGER NOT NULL,
+      transaction_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(referral_id, event, milestone, level),
+      FOREIGN KEY (referral_id) REFERENCES referrals(id),
+      FOREIGN KEY (beneficiary_id) REFERENCES users(id)
+    )
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_referral_payouts_beneficiary ON referral_payouts(beneficiary_id, created_at)`);
+
+  // Withdrawals table (kept across restarts - pending requests hold user funds)
   db.exec(`
     CREATE TABLE IF NOT EXISTS withdrawals (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
-      amount REAL NOT NULL CHECK(amount > 0),
+      amount INTEGER NOT NULL CHECK(amount > 0),
       payment_method TEXT NOT NULL DEFAULT 'upi',
       payment_details TEXT NOT NULL DEFAULT '',
       status TEXT NOT NULL DEFAULT 'pending',
       request_date DATETIME DEFAULT CURRENT_TIMESTAMP,
       process_date DATETIME,
       admin_notes TEXT DEFAULT '',
+      hold_transaction_id INTEGER DEFAULT NULL,
       FOREIGN KEY (user_id) REFERENCES users(id)
     )
   `);
 
-  // Task likes table
+  try {
+    db.exec(`ALTER TABLE withdrawals ADD COLUMN hold_transaction_id INTEGER DEFAULT NULL`);
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Payout batches (bank bulk-payout files generated from approved withdrawals)
   db.exec(`
-    CREATE TABLE IF NOT EXISTS task_likes (
+    CREATE TABLE IF NOT EXISTS payout_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      withdrawal_count INTEGER NOT NULL DEFAULT 0,
+      total_amount INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const payoutColumns = [
+    `ALTER TABLE withdrawals ADD COLUMN payout_batch_id INTEGER DEFAULT NULL`,
+    `ALTER TABLE withdrawals ADD COLUMN payout_reference TEXT DEFAULT ''`,
+    `ALTER TABLE withdrawals ADD COLUMN payout_remarks TEXT DEFAULT ''`,
+    `ALTER TABLE withdrawals ADD COLUMN payout_date DATETIME DEFAULT NULL`,
+    `ALTER TABLE withdrawals ADD COLUMN approved_at DATETIME DEFAULT NULL`,
+    `ALTER TABLE withdrawals ADD COLUMN rejected_at DATETIME DEFAULT NULL`,
+    `ALTER TABLE withdrawals ADD COLUMN processing_at DATETIME DEFAULT NULL`,
+    `ALTER TABLE withdrawals ADD COLUMN paid_at DATETIME DEFAULT NULL`,
+    `ALTER TABLE withdrawals ADD COLUMN failed_at DATETIME DEFAULT NULL`,
+    `ALTER TABLE withdrawals ADD COLUMN reversal_transaction_id INTEGER DEFAULT NULL`
+  ];
+  for (const sql of payoutColumns) {
+    try {
+      db.exec(sql);
+    } catch (e) {
+      // Column already exists
+    }
+  }
+
+  try {
+    db.exec(`ALTER TABLE withdrawals ADD COLUMN fee_amount INTEGER DEFAULT 0`);
+  } catch (e) {
+    // Column already exists
+  }
+
+  try {
+    db.exec(`ALTER TABLE withdrawals ADD COLUMN fee_transaction_id INTEGER DEFAULT NULL`);
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Saved payout destinations (one row per UPI ID / bank account)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS payout_destinations (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      task_id INTEGER NOT NULL,
       user_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('upi', 'bank')),
+      vpa TEXT NOT NULL DEFAULT '',
+      account_holder TEXT NOT NULL DEFAULT '',
+      account_number TEXT NOT NULL DEFAULT '',
+      ifsc TEXT NOT NULL DEFAULT '',
+      bank_name TEXT NOT NULL DEFAULT '',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (task_id) REFERENCES tasks(id),
-      FOREIGN KEY (user_id) REFERENCES users(id),
-      UNIQUE(task_id, user_id)
+      removed_at DATETIME DEFAULT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id)
     )
   `);
 
-  // PWA installs tracking table
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_payout_destinations_user ON payout_destinations(user_id)`);
+
+  try {
+    db.exec(`ALTER TABLE withdrawals ADD COLUMN destination_id INTEGER DEFAULT NULL`);
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Requests to change a locked UPI; decided rows are the audit trail of every change
   db.exec(`
-    CREATE TABLE IF NOT EXISTS pwa_installs (
+    CREATE TABLE IF NOT EXISTS upi_change_requests (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
-      user_agent TEXT DEFAULT '',
-      installed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id),
-      UNIQUE(user_id)
+      old_upi TEXT NOT NULL,
+      new_upi TEXT NOT NULL,
+      reason TEXT NOT NULL DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected')),
+      reviewed_by TEXT DEFAULT NULL,
+      admin_notes TEXT DEFAULT '',
+      cooling_off_until DATETIME DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      decided_at DATETIME DEFAULT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id)
     )
   `);
 
-  // Add initial like count column to tasks table
   try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN initial_likes INTEGER DEFAULT 0`);
+    db.exec(`ALTER TABLE users ADD COLUMN upi_cooling_off_until DATETIME DEFAULT NULL`);
   } catch (e) {
     // Column already exists
   }
 
-  // Generate random initial likes for existing tasks without them
-  try {
-    const tasksWithoutLikes = db.prepare("SELECT id FROM tasks WHERE initial_likes = 0").all();
-    const updateStmt = db.prepare('UPDATE tasks SET initial_likes = ? WHERE id = ?');
-    
-    for (const task of tasksWithoutLikes) {
-      const randomLikes = Math.floor(Math.random() * (200 - 50 + 1)) + 50;
-      updateStmt.run(randomLikes, task.id);
+  // Save a UPI destination for users whose profile UPI (or locked UPI) is a valid VPA
+  const usersWithoutDestinations = db.prepare(`
+    SELECT id, upi, registered_upi FROM users 
+    WHERE id NOT IN (SELECT user_id FROM payout_destinations)
+  `).all();
+  const insertUpiDestination = db.prepare(`INSERT INTO payout_destinations (user_id, type, vpa) VALUES (?, 'upi', ?)`);
+
+  for (const user of usersWithoutDestinations) {
+    try {
+      insertUpiDestination.run(user.id, normalizeVpa(user.registered_upi || user.upi));
+    } catch (e) {
+      // Not set ('pending') or not a valid VPA - the user adds a destination from the wallet
     }
-  } catch (e) {
-    console.error('Error setting initial likes:', e);
   }
 
-  console.log('✅ Database initialized successfully');
-}
+  // Approving a first withdrawal to a bank account used to lock its details ("holder | account | IFSC")
+  // in as the UPI. Lock those users to their first approved UPI payout instead, or unlock them.
+  const bankLockedUsers = db.prepare(`SELECT id FROM users WHERE upi_locked = 1 AND registered_upi LIKE '%|%'`).all();
+  for (const user of bankLockedUsers) {
+    const firstUpiPayout = db.prepare(`
+      SELECT payment_details FROM withdrawals
+      WHERE user_id = ? AND payment_method = 'upi' AND approved_at IS NOT NULL
+      ORDER BY approved_at ASC, id ASC LIMIT 1
+    `).get(user.id);
+    if (firstUpiPayout) {
+      db.prepare('UPDATE users SET registered_upi = ?, upi = ? WHERE id = ?')
+        .run(firstUpiPayout.payment_details, firstUpiPayout.payment_details, user.id);
+    } else {
+      db.prepare(`UPDATE users SET upi_locked = 0, registered_upi = '', upi = 'pending' WHERE id = ?`).run(user.id);
+    }
+  }
 
-// User operations
-const userDb = {
+  // Withdrawal policy per payment method (amounts in paise, NULL = no limit)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS withdrawal_policies (
+      payment_method TEXT PRIMARY KEY,
+      min_amount INTEGER NOT NULL DEFAULT 0,
+      max_amount INTEGER DEFAULT NULL,
+      daily_count INTEGER DEFAULT NULL,
+      daily_amount INTEGER DEFAULT NULL,
+      fee_type TEXT NOT NULL DEFAULT 'none' CHECK(fee_type IN ('none', 'flat', 'percent')),
+      fee_value INTEGER NOT NULL DEFAULT 0,
+      signup_cooldown_hours INTEGER NOT NULL DEFAULT 0,
+      updated_by TEXT DEFAULT '',
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Defaults match the old hardcoded ₹50 minimum
+  db.prepare(`INSERT OR IGNORE INTO withdrawal_policies (payment_method, min_amount) VALUES ('upi', ?)`).run(rupees(50));
+  db.prepare(`INSERT OR IGNORE INTO withdrawal_policies (payment_method, min_amount) VALUES ('bank', ?)`).run(rupees(50));
+
+  // Fill lifecycle timestamps for withdrawals processed before they existed
+  try {
+    db.exec(`
+      UPDATE withdrawals SET approved_at = process_date
+      WHERE approved_at IS NULL AND status IN ('approved', 'processing', 'paid', 'failed');
+      UPDATE withdrawals SET rejected_at = process_date
+      WHERE rejected_at IS NULL AND status = 'rejected';
+      UPDATE withdrawals SET processing_at = COALESCE(payout_date, process_date)
+      WHERE processing_at IS NULL AND status IN ('paid', 'failed');
+      UPDATE withdrawals SET processing_at = CURRENT_TIMESTAMP
+      WHERE processing_at IS NULL AND status = 'approved' AND payout_batch_id IS NOT NULL;
+      UPDATE withdrawals SET status = 'processing'
+      WHERE status = 'approved' AND payout_batch_id IS NOT NULL;
+      UPDATE withdrawals SET paid_at = payout_date
+      WHERE paid_at IS NULL AND status = 'paid';
+      UPDATE withdrawals SET failed_at = payout_date
+      WHERE failed_at IS NULL AND status = 'failed';
+    `);
+  } catch (e) {
+    console.error('Error migrating withdrawal timestamps:', e);
+  }
+
+  // Task likes table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS task_likes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (task_id) REFERENCES tasks(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(task_id, user_id)
+    )
+  `);
+
+  // PWA installs tracking table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pwa_installs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      user_agent TEXT DEFAULT '',
+      installed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(user_id)
+    )
+  `);
+
+  // Older versions seeded every task with 50-200 made-up likes. The column is kept for old databases
+  // but no longer read: like counts come from task_likes only.
+  try {
+    db.exec(`ALTER TABLE tasks ADD COLUMN initial_likes INTEGER DEFAULT 0`);
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Star ratings and reviews, one per user and task, only from users who completed the task
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS task_reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      rating INTEGER NOT NULL,
+      review TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (task_id) REFERENCES tasks(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(task_id, user_id)
+    )
+  `);
+
+  // Broken-task reports (category from task-feedback.js). A user has at most one open report per task;
+  // an admin resolves a task's open reports once it is fixed.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS task_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      category TEXT NOT NULL,
+      details TEXT DEFAULT '',
+      status TEXT DEFAULT 'open',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME DEFAULT NULL,
+      resolved_by TEXT DEFAULT NULL,
+      FOREIGN KEY (task_id) REFERENCES tasks(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+  db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_task_reports_open ON task_reports(task_id, user_id) WHERE status = 'open'`);
+
+  // Balance adjustment proposals (maker-checker: large manual credits/debits need a second admin)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS balance_proposals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      reason TEXT NOT NULL DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'pending',
+      proposed_by TEXT NOT NULL,
+      reviewed_by TEXT DEFAULT NULL,
+      decision_note TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      decided_at DATETIME DEFAULT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS balance_proposal_users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      proposal_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      transaction_id INTEGER DEFAULT NULL,
+      FOREIGN KEY (proposal_id) REFERENCES balance_proposals(id),
+      UNIQUE(proposal_id, user_id)
+    )
+  `);
+
+  // Convert rupee REAL amounts from older databases to integer paise, once
+  try {
+    const schemaVersion = db.pragma('user_version', { simple: true });
+    if (schemaVersion < PAISE_SCHEMA_VERSION) {
+      db.transaction(() => {
+        for (const [table, column] of MONEY_COLUMNS) {
+          db.exec(`UPDATE ${table} SET ${column} = CAST(ROUND(${column} * 100) AS INTEGER) WHERE ${column} IS NOT NULL`);
+        }
+      })();
+      db.pragma(`user_version = ${PAISE_SCHEMA_VERSION}`);
+      console.log('Money columns migrated to integer paise');
+    }
+  } catch (e) {
+    console.error('Error migrating money to paise:', e);
+  }
+
+  // First run with plans: the old hardcoded rewards (₹5 at signup, ₹15 on the first task) become the
+  // active plan, and what existing referrals already paid is recorded as payouts. Runs after the paise
+  // migration so reward_amount is already in paise.
+  if (db.prepare('SELECT COUNT(*) as count FROM referral_plans').get().count === 0) {
+    db.transaction(() => {
+      const signupReward = rupees(5);
+      const planId = db.prepare(`INSERT INTO referral_plans (name, levels, rewards, active) VALUES ('Standard', 1, ?, 1)`).run(JSON.stringify([
+        { event: 'signup', amounts: [signupReward] },
+        { event: 'first_task', amounts: [rupees(15)] }
+      ])).lastInsertRowid;
+      db.prepare('UPDATE referrals SET plan_id = ? WHERE plan_id IS NULL').run(planId);
+
+      const insertPayout = db.prepare(`
+        INSERT OR IGNORE INTO referral_payouts (referral_id, plan_id, beneficiary_id, level, event, amount, created_at)
+        VALUES (?, ?, ?, 1, ?, ?, ?)
+      `);
+      for (const referral of db.prepare('SELECT * FROM referrals WHERE reward_amount > 0').all()) {
+        insertPayout.run(referral.id, planId, referral.referrer_id, 'signup', Math.min(referral.reward_amount, signupReward), referral.created_at);
+        if (referral.reward_amount > signupReward) {
+          insertPayout.run(referral.id, planId, referral.referrer_id, 'first_task', referral.reward_amount - signupReward, referral.created_at);
+        }
+      }
+    })();
+  }
+
+  try {
+    const { held, rejected } = withdrawalDb.holdUnheldRequests();
+    if (held > 0 || rejected > 0) {
+      console.log('Held older pending withdrawals:', held, 'rejected (balance too low):', rejected);
+    }
+  } catch (e) {
+    console.error('Error holding older pending withdrawals:', e);
+  }
+
+  try {
+    const refunded = withdrawalDb.refundUnreversedFailures();
+    if (refunded > 0) {
+      console.log('Refunded failed withdrawals:', refunded);
+    }
+  } catch (e) {
+    console.error('Error refunding failed withdrawals:', e);
+  }
+
+  console.log('✅ Database initialized successfully');
+}
+
+// User operations
+const userDb = {
   create: (userData) => {
     // Generate unique referral code
     let referralCode = generateReferralCode();
@@ -343,15 +1182,7 @@ const userDb = {
   },
 
   updateBalance: (userId, amount, type, reason) => {
-    const stmt = db.prepare('UPDATE users SET balance = balance + ? WHERE id = ?');
-    stmt.run(amount, userId);
-
-    // Add transaction
-    const tranStmt = db.prepare(`
-      INSERT INTO transactions (user_id, type, amount, reason) 
-      VALUES (?, ?, ?, ?)
-    `);
-    tranStmt.run(userId, type, Math.abs(amount), reason);
+    return ledgerDb.post(userId, amount, type, reason);
   },
 
   setVerifiedBadge: (userId, verified) => {
@@ -380,11 +1211,11 @@ const userDb = {
     const totalUsers = db.prepare('SELECT COUNT(*) as count FROM users').get();
     const today = db.prepare(`SELECT COUNT(*) as count FROM users WHERE DATE(created_at) = DATE('now')`).get();
     const yesterday = db.prepare(`SELECT COUNT(*) as count FROM users WHERE DATE(created_at) = DATE('now', '-1 day')`).get();
-    const totalBalance = db.prepare('SELECT COALESCE(SUM(balance), 0) as total FROM users').get();
-    const totalWithdrawals = db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM withdrawals WHERE status = "approved"').get();
-    const pendingWithdrawals = db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM withdrawals WHERE status = "pending"').get();
+    const totalBalance = db.prepare('SELECT COALESCE(SUM(balance + held_balance), 0) as total FROM users').get();
+    const totalWithdrawals = db.prepare(`SELECT COALESCE(SUM(amount), 0) as total FROM withdrawals WHERE status IN ('approved', 'processing', 'paid')`).get();
+    const pendingWithdrawals = db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM withdrawals WHERE status = \'pending\'').get();
     const activeTasks = db.prepare('SELECT COUNT(*) as count FROM tasks WHERE enabled = 1').get();
-    const pendingTasks = db.prepare('SELECT COUNT(*) as count FROM pending_tasks WHERE status = "pending"').get();
+    const pendingTasks = db.prepare('SELECT COUNT(*) as count FROM pending_tasks WHERE status = \'pending\'').get();
 
     return {
       totalUsers: totalUsers.count,
@@ -399,19 +1230,20 @@ const userDb = {
   },
 
   addBulkBonus: (amount, reason) => {
-    const users = db.prepare('SELECT id FROM users WHERE banned = 0').all();
-    const updateStmt = db.prepare('UPDATE users SET balance = balance + ? WHERE id = ?');
-    const tranStmt = db.prepare(`
-      INSERT INTO transactions (user_id, type, amount, reason) 
-      VALUES (?, ?, ?, ?)
-    `);
+    return db.transaction(() => {
+      const userIds = userDb.getBulkBonusUserIds();
+      const type = amount > 0 ? 'admin_credit' : 'admin_debit';
 
-    for (const user of users) {
-      updateStmt.run(amount, user.id);
-      tranStmt.run(user.id, 'admin_credit', Math.abs(amount), reason);
-    }
+      for (const userId of userIds) {
+        ledgerDb.post(userId, amount, type, reason);
+      }
+
+      return userIds.length;
+    })();
+  },
 
-    return users.length;
+  getBulkBonusUserIds: () => {
+    return db.prepare('SELECT id FROM users WHERE banned = 0').all().map(u => u.id);
   },
 
   deleteUser: (userId) => {
@@ -460,17 +1292,195 @@ const userDb = {
   }
 };
 
+// Submissions counted against a task's limits (pending + approved), overall and today (UTC), as
+// `used` / `used_today` columns on a query over tasks t. `spent` (paise) is what approved
+// submissions were paid plus pending ones at the current price (and approvals from before rewards
+// were recorded).
+const TASK_USAGE_COLUMNS = `COALESCE(u.used, 0) as used, COALESCE(u.used_today, 0) as used_today,
+  COALESCE(u.paid, 0) + COALESCE(u.unpaid, 0) * t.price as spent`;
+const TASK_USAGE_JOIN = `
+  LEFT JOIN (
+    SELECT task_id, COUNT(*) as used, SUM(date(submitted_at) = date('now')) as used_today,
+      SUM(CASE WHEN status = 'approved' THEN reward END) as paid,
+      SUM(status = 'pending' OR reward IS NULL) as unpaid
+    FROM pending_tasks
+    WHERE status IN ('pending', 'approved')
+    GROUP BY task_id
+  ) u ON u.task_id = t.id`;
+
+// Current period of a task on a query over tasks t: '' for once/total tasks, today's date (UTC) for
+// daily tasks, this week's Monday for weekly tasks
+const TASK_PERIOD_SQL = `CASE t.repeat_cadence WHEN 'daily' THEN date('now') WHEN 'weekly' THEN date('now', '-6 days', 'weekday 1') ELSE '' END`;
+
+// Whether task t is inside its publishing window right now
+const TASK_LIVE_SQL = `((t.publish_at IS NULL OR t.publish_at <= datetime('now')) AND (t.unpublish_at IS NULL OR t.unpublish_at > datetime('now')))`;
+
+// 'scheduled' (publish_at still ahead), 'ended' (unpublish_at passed) or 'live'
+function getTaskSchedule(task) {
+  const now = new Date().toISOString().replace('T', ' ').slice(0, 19);
+  if (task.publish_at && task.publish_at > now) return 'scheduled';
+  if (task.unpublish_at && task.unpublish_at <= now) return 'ended';
+  return 'live';
+}
+
+// How long a reviewer's claim on a submission lasts before others can take it
+const REVIEW_CLAIM_MINUTES = 15;
+
+// Recorded as auto_rule_name on submissions decided by their step answers (pendingTaskDb.verifySteps)
+const STEP_CHECK_RULE_NAME = 'Step answers';
+
+// Whether submission pt is claimed by a reviewer right now
+const ACTIVE_CLAIM_SQL = `(pt.claimed_by IS NOT NULL AND pt.claimed_at > datetime('now', '-${REVIEW_CLAIM_MINUTES} minutes'))`;
+
+// Remaining capacity of a task row from taskDb.getWithUsage (used / used_today / spent columns).
+// slotsLeft: submissions still accepted now (null = unlimited), counting the daily quota. The budget
+// left after what was spent buys slots at the current price, so a price change never refunds it.
+// reason: why the task should be off for good (completion_cap, budget, expired) or null.
+function getTaskCapacity(task) {
+  const limits = [];
+  let reason = null;
+
+  if (task.max_completions !== null) {
+    const left = task.max_completions - task.used;
+    limits.push(left);
+    if (left <= 0) reason = 'completion_cap';
+  }
+
+  if (task.budget !== null && task.price > 0) {
+    const left = Math.floor((task.budget - task.spent) / task.price);
+    limits.push(left);
+    if (left <= 0 && !reason) reason = 'budget';
+  }
+
+  if (task.expires_at && task.expires_at <= new Date().toISOString().replace('T', ' ').slice(0, 19)) {
+    reason = reason || 'expired';
+  }
+
+  if (task.daily_quota !== null) {
+    limits.push(task.daily_quota - task.used_today);
+  }
+
+  return {
+    slotsLeft: limits.length ? Math.max(Math.min(...limits), 0) : null,
+    reason
+  };
+}
+
+// Why a user can't take a task, or null if they can.
+// profile: from taskDb.getEligibilityProfile; task: a tasks row with the targeting columns.
+function getEligibilityFailure(task, profile) {
+  if (task.min_account_age_days > 0 && profile.accountAgeDays < task.min_account_age_days) {
+    return `Your account must be at least ${task.min_account_age_days} days old`;
+  }
+  if (task.min_completed_tasks > 0 && profile.completedTasks < task.min_completed_tasks) {
+    return `Complete at least ${task.min_completed_tasks} tasks first`;
+  }
+  if (task.requires_verified && !profile.verified) {
+    return 'Only verified users can take this task';
+  }
+  if (task.referral_rule === 'referred' && !profile.hasReferrer) {
+    return 'Only users who joined with an invite code can take this task';
+  }
+  if (task.referral_rule === 'not_referred' && profile.hasReferrer) {
+    return 'This task is only for users who joined without an invite code';
+  }
+  if (task.phone_prefixes) {
+    const phone = profile.phone.replace(/[\s()-]/g, '');
+    if (!task.phone_prefixes.split(',').some(prefix => phone.startsWith(prefix))) {
+      return 'This task is not available in your country';
+    }
+  }
+  return null;
+}
+
+// Enabled, live tasks the user can still submit as far as SQL can tell: not used up this period, no
+// submission waiting for review, resubmissions left if it was rejected. Each row also has the task's
+// like count (likeCount), whether the user liked it (isLiked) and its rating, from aggregated joins.
+// extra: { where: [conditions on the row columns, table t], params, orderBy, limit }
+function selectAvailableTasks(userId, extra = {}) {
+  const where = extra.where || [];
+  const rows = db.prepare(`
+    SELECT * FROM (
+      SELECT t.*, ${TASK_USAGE_COLUMNS},
+        COALESCE(l.like_count, 0) as like_count, COALESCE(l.liked, 0) as liked,
+        r.rating_average, COALESCE(r.rating_count, 0) as rating_count
+      FROM (
+        SELECT t.*, ${TASK_PERIOD_SQL} as period_key,
+          (SELECT COUNT(*) FROM completed_tasks c WHERE c.user_id = ? AND c.task_id = t.id AND c.period_key = ${TASK_PERIOD_SQL}) as completed_in_period
+        FROM tasks t
+        WHERE t.enabled = 1 AND ${TASK_LIVE_SQL}
+      ) t
+      ${TASK_USAGE_JOIN}
+      LEFT JOIN (
+        SELECT task_id, COUNT(*) as like_count, MAX(user_id = ?) as liked FROM task_likes GROUP BY task_id
+      ) l ON l.task_id = t.id
+      LEFT JOIN (
+        SELECT task_id, ROUND(AVG(rating), 1) as rating_average, COUNT(*) as rating_count FROM task_reviews GROUP BY task_id
+      ) r ON r.task_id = t.id
+      WHERE t.completed_in_period < t.repeat_limit
+      AND t.id NOT IN (SELECT task_id FROM pending_tasks WHERE user_id = ? AND status = 'pending')
+      AND (
+        SELECT COUNT(*) FROM pending_tasks
+        WHERE user_id = ? AND task_id = t.id AND status = 'rejected'
+        AND period_key = t.period_key AND occurrence = t.completed_in_period + 1
+      ) <= t.max_resubmissions
+    ) t
+    ${where.length > 0 ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY ${extra.orderBy || 't.created_at DESC, t.id DESC'}
+    LIMIT ?
+  `).all(userId, userId, userId, userId, ...(extra.params || []), extra.limit || -1);
+
+  return rows.map(({ like_count, liked, ...task }) => ({ ...task, likeCount: like_count, isLiked: !!liked }));
+}
+
+// The available rows the user is eligible for and that have slots left today. Adds slotsLeft (null = unlimited).
+function openTasksForUser(tasks, profile) {
+  return tasks
+    .filter(task => !getEligibilityFailure(task, profile))
+    .map(task => ({ ...task, slotsLeft: getTaskCapacity(task).slotsLeft }))
+    .filter(task => task.slotsLeft === null || task.slotsLeft > 0);
+}
+
+// Task catalogue orders, all descending with the task id as tie-breaker.
+// column: what selectAvailableTasks sorts on; field: the same value on the returned task
+const TASK_CATALOGUE_SORTS = {
+  newest: { column: 'created_at', field: 'created_at', numeric: false },
+  reward: { column: 'price', field: 'price', numeric: true },
+  popular: { column: 'like_count', field: 'likeCount', numeric: true }
+};
+
+// Catalogue pages are cursor-paginated on (sort column, id).
+// The cursor is opaque to clients: base64url of "sort|value|id" of the last task returned.
+function encodeCatalogueCursor(sort, task) {
+  return Buffer.from(`${sort}|${task[TASK_CATALOGUE_SORTS[sort].field]}|${task.id}`).toString('base64url');
+}
+
+function decodeCatalogueCursor(cursor, sort) {
+  const [cursorSort, value, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  if (cursorSort !== sort || !value || !/^\d+$/.test(id || '')) {
+    throw new Error('Invalid cursor');
+  }
+  if (TASK_CATALOGUE_SORTS[sort].numeric && !/^-?\d+$/.test(value)) {
+    throw new Error('Invalid cursor');
+  }
+  return { value: TASK_CATALOGUE_SORTS[sort].numeric ? parseInt(value, 10) : value, id: parseInt(id, 10) };
+}
+
 // Task operations
 const taskDb = {
   create: (taskData) => {
-    // Generate random initial likes between 50-200
-    const randomLikes = Math.floor(Math.random() * (200 - 50 + 1)) + 50;
-    
+    requirePaise(taskData.price);
+
     const stmt = db.prepare(`
-      INSERT INTO tasks (title, description, instruction, thumbnail, price, timer, steps, task_url, initial_likes) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO tasks (
+        title, description, instruction, thumbnail, price, timer, steps, task_url, proof_types, proof_instructions,
+        time_limit, max_resubmissions, max_completions, budget, daily_quota, expires_at,
+        category, tags, min_account_age_days, min_completed_tasks, requires_verified, referral_rule, phone_prefixes,
+        repeat_cadence, repeat_limit, publish_at, unpublish_at, notify_on_publish, auto_verify_steps
+      ) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
-    return stmt.run(
+    const result = stmt.run(
       taskData.title,
       taskData.description,
       taskData.instruction,
@@ -479,7 +1489,27 @@ const taskDb = {
       taskData.timer || 0,
       taskData.steps || '',
       taskData.task_url || '',
-      randomLikes
+      taskData.proof_types || '',
+      taskData.proof_instructions || '',
+      taskData.time_limit || 0,
+      taskData.max_resubmissions === undefined ? 1 : taskData.max_resubmissions,
+      taskData.max_completions ?? null,
+      taskData.budget ?? null,
+      taskData.daily_quota ?? null,
+      taskData.expires_at ?? null,
+      taskData.category || '',
+      taskData.tags || '',
+      taskData.min_account_age_days || 0,
+      taskData.min_completed_tasks || 0,
+      taskData.requires_verified ? 1 : 0,
+      taskData.referral_rule || 'any',
+      taskData.phone_prefixes || '',
+      taskData.repeat_cadence || 'once',
+      taskData.repeat_limit || 1,
+      taskData.publish_at ?? null,
+      taskData.unpublish_at ?? null,
+      taskData.notify_on_publish ? 1 : 0,
+      taskData.auto_verify_steps ? 1 : 0
     );
   },
 
@@ -487,52 +1517,271 @@ const taskDb = {
     return db.prepare('SELECT * FROM tasks WHERE enabled = 1 ORDER BY created_at DESC').all();
   },
 
+  // All tasks with usage (used, used_today), slotsLeft, schedule (scheduled, live or ended), rating
+  // (rating_average, rating_count) and open_reports, flagged at TASK_REPORT_FLAG_THRESHOLD
   getAllForAdmin: () => {
-    return db.prepare('SELECT * FROM tasks ORDER BY created_at DESC').all();
+    taskDb.disableExpired();
+    const ratings = taskFeedbackDb.getRatingSummaries();
+    const reports = taskFeedbackDb.getOpenReportCounts();
+    return taskDb.getWithUsage().map(task => ({
+      ...task,
+      slotsLeft: getTaskCapacity(task).slotsLeft,
+      schedule: getTaskSchedule(task),
+      ...(ratings[task.id] || { rating_average: null, rating_count: 0 }),
+      open_reports: reports[task.id] || 0,
+      flagged: (reports[task.id] || 0) >= TASK_REPORT_FLAG_THRESHOLD
+    }));
+  },
+
+  getSchedule: (task) => getTaskSchedule(task),
+
+  // schedule: { publish_at, unpublish_at } (UTC, null = no bound)
+  setSchedule: (taskId, schedule) => {
+    const result = db.prepare('UPDATE tasks SET publish_at = ?, unpublish_at = ? WHERE id = ?')
+      .run(schedule.publish_at, schedule.unpublish_at, taskId);
+    if (result.changes === 0) {
+      throw new Error('Task not found');
+    }
+    return result;
   },
 
+  // Enabled tasks that went live and still owe their "new task" notification; marks them as sent
+  takeDueNotifications: () => db.transaction(() => {
+    const tasks = db.prepare(`
+      SELECT * FROM tasks t
+      WHERE t.enabled = 1 AND t.notify_on_publish = 1 AND t.published_notified_at IS NULL AND ${TASK_LIVE_SQL}
+    `).all();
+    const markSent = db.prepare('UPDATE tasks SET published_notified_at = CURRENT_TIMESTAMP WHERE id = ?');
+    tasks.forEach(task => markSent.run(task.id));
+    return tasks;
+  }).immediate(),
+
   getById: (id) => {
     return db.prepare('SELECT * FROM tasks WHERE id = ?').get(id);
   },
 
-  update: (taskId, taskData) => {
+  // A price change moves what pending submissions cost the budget, so the limits are re-checked
+  update: (taskId, taskData) => db.transaction(() => {
+    requirePaise(taskData.price);
+
     const stmt = db.prepare(`
       UPDATE tasks 
-      SET title = ?, description = ?, instruction = ?, thumbnail = ?, price = ?, timer = ?, steps = ?, task_url = ? 
+      SET title = ?, description = ?, instruction = ?, thumbnail = ?, price = ?, timer = ?, task_url = ?, time_limit = ?, max_resubmissions = ? 
       WHERE id = ?
     `);
-    return stmt.run(
+    const result = stmt.run(
       taskData.title,
       taskData.description,
       taskData.instruction,
       taskData.thumbnail,
       taskData.price,
       taskData.timer,
-      taskData.steps,
       taskData.task_url || '',
+      taskData.time_limit || 0,
+      taskData.max_resubmissions === undefined ? 1 : taskData.max_resubmissions,
       taskId
     );
+    taskDb.refreshLimits(taskId);
+    return result;
+  })(),
+
+  // steps is the normalized JSON from task-steps.js
+  setSteps: (taskId, steps, autoVerifySteps) => {
+    const result = db.prepare('UPDATE tasks SET steps = ?, auto_verify_steps = ? WHERE id = ?')
+      .run(steps, autoVerifySteps ? 1 : 0, taskId);
+    if (result.changes === 0) {
+      throw new Error('Task not found');
+    }
+    return result;
+  },
+
+  // proofTypes is the normalized comma list from proof-upload.js
+  setProofRequirements: (taskId, proofTypes, proofInstructions) => {
+    const result = db.prepare('UPDATE tasks SET proof_types = ?, proof_instructions = ? WHERE id = ?')
+      .run(proofTypes, proofInstructions || '', taskId);
+    if (result.changes === 0) {
+      throw new Error('Task not found');
+    }
+    return result;
   },
 
   delete: (taskId) => {
     // Delete related records first to avoid foreign key constraint errors
     db.prepare('DELETE FROM task_likes WHERE task_id = ?').run(taskId);
+    db.prepare('DELETE FROM task_views WHERE task_id = ?').run(taskId);
+    db.prepare('DELETE FROM task_reviews WHERE task_id = ?').run(taskId);
+    db.prepare('DELETE FROM task_reports WHERE task_id = ?').run(taskId);
+    db.prepare('DELETE FROM submission_proofs WHERE pending_task_id IN (SELECT id FROM pending_tasks WHERE task_id = ?)').run(taskId);
+    db.prepare('DELETE FROM task_sessions WHERE task_id = ?').run(taskId);
     db.prepare('DELETE FROM pending_tasks WHERE task_id = ?').run(taskId);
     db.prepare('DELETE FROM completed_tasks WHERE task_id = ?').run(taskId);
     return db.prepare('DELETE FROM tasks WHERE id = ?').run(taskId);
   },
 
+  // Manual toggle by an admin (clears any automatic disabled_reason)
   setEnabled: (taskId, enabled) => {
-    return db.prepare('UPDATE tasks SET enabled = ? WHERE id = ?').run(enabled, taskId);
+    return db.prepare(`UPDATE tasks SET enabled = ?, disabled_reason = '' WHERE id = ?`).run(enabled, taskId);
   },
 
-  getAvailableForUser: (userId) => {
+  // limits: { max_completions, budget, daily_quota, expires_at } (null = no limit) and { repeat_cadence, repeat_limit }
+  setLimits: (taskId, limits) => db.transaction(() => {
+    const result = db.prepare(`
+      UPDATE tasks SET max_completions = ?, budget = ?, daily_quota = ?, expires_at = ?, repeat_cadence = ?, repeat_limit = ?
+      WHERE id = ?
+    `).run(limits.max_completions, limits.budget, limits.daily_quota, limits.expires_at, limits.repeat_cadence, limits.repeat_limit, taskId);
+    if (result.changes === 0) {
+      throw new Error('Task not found');
+    }
+    return taskDb.refreshLimits(taskId);
+  })(),
+
+  // Tasks with submissions used overall and today (pending + approved); taskId limits to one task
+  getWithUsage: (taskId = null) => {
     return db.prepare(`
-      SELECT t.* FROM tasks t
-      WHERE t.enabled = 1 
-      AND t.id NOT IN (SELECT task_id FROM completed_tasks WHERE user_id = ?)
+      SELECT t.*, ${TASK_USAGE_COLUMNS}
+      FROM tasks t
+      ${TASK_USAGE_JOIN}
+      WHERE (? IS NULL OR t.id = ?)
       ORDER BY t.created_at DESC
-    `).all(userId);
+    `).all(taskId, taskId);
+  },
+
+  // Disable a task whose cap, budget or expiry is reached, or re-enable one that turned itself
+  // off when a rejection frees a slot or an admin raises the limit. Manual disables are left alone.
+  refreshLimits: (taskId) => {
+    const task = taskDb.getWithUsage(taskId)[0];
+    if (!task) return null;
+
+    const { reason } = getTaskCapacity(task);
+    if (task.enabled && reason) {
+      db.prepare('UPDATE tasks SET enabled = 0, disabled_reason = ? WHERE id = ?').run(reason, taskId);
+    } else if (!task.enabled && task.disabled_reason && !reason) {
+      db.prepare(`UPDATE tasks SET enabled = 1, disabled_reason = '' WHERE id = ?`).run(taskId);
+    } else if (!task.enabled && task.disabled_reason && reason !== task.disabled_reason) {
+      db.prepare('UPDATE tasks SET disabled_reason = ? WHERE id = ?').run(reason, taskId);
+    }
+
+    return taskDb.getWithUsage(taskId)[0];
+  },
+
+  // Turn off enabled tasks past their expiry date
+  disableExpired: () => {
+    return db.prepare(`
+      UPDATE tasks SET enabled = 0, disabled_reason = 'expired'
+      WHERE enabled = 1 AND expires_at IS NOT NULL AND expires_at <= datetime('now')
+    `).run();
+  },
+
+  // What eligibility rules look at for a user
+  getEligibilityProfile: (userId) => {
+    const user = db.prepare(`
+      SELECT phone, verified_badge, referrer_id,
+        julianday('now') - julianday(created_at) as account_age_days,
+        (SELECT COUNT(*) FROM completed_tasks WHERE user_id = users.id) as completed_tasks
+      FROM users WHERE id = ?
+    `).get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      accountAgeDays: user.account_age_days,
+      completedTasks: user.completed_tasks,
+      verified: !!user.verified_badge,
+      hasReferrer: !!user.referrer_id,
+      phone: user.phone || ''
+    };
+  },
+
+  // Throws with the reason if the user doesn't meet the task's eligibility rules
+  checkEligibility: (userId, task) => {
+    const failure = getEligibilityFailure(task, taskDb.getEligibilityProfile(userId));
+    if (failure) {
+      throw new Error(failure);
+    }
+  },
+
+  // Enabled tasks the user can still submit: eligible, not completed, no submission waiting for review,
+  // resubmissions left if it was rejected, and slots left today. Adds slotsLeft (null = unlimited),
+  // likeCount, isLiked and the rating. Newest first.
+  getAvailableForUser: (userId) => {
+    taskDb.disableExpired();
+    return openTasksForUser(selectAvailableTasks(userId), taskDb.getEligibilityProfile(userId));
+  },
+
+  // One page of the tasks available to the user.
+  // options: { search (every word must be in the title or description), category,
+  // sort: 'newest' | 'reward' | 'popular', cursor, limit }
+  // Returns { tasks, nextCursor } (nextCursor is null on the last page).
+  getCatalogue: (userId, options = {}) => {
+    const sortName = options.sort || 'newest';
+    const sort = TASK_CATALOGUE_SORTS[sortName];
+    if (!sort) {
+      throw new Error(`Sort must be one of ${Object.keys(TASK_CATALOGUE_SORTS).join(', ')}`);
+    }
+    const limit = options.limit || 20;
+    let after = options.cursor ? decodeCatalogueCursor(options.cursor, sortName) : null;
+
+    const where = [];
+    const params = [];
+    if (options.category) {
+      where.push('t.category = ?');
+      params.push(options.category);
+    }
+    for (const word of String(options.search || '').split(/\s+/).filter(Boolean)) {
+      const pattern = `%${word.replace(/[\\%_]/g, '\\$&')}%`;
+      where.push(`(t.title LIKE ? ESCAPE '\\' OR t.description LIKE ? ESCAPE '\\')`);
+      params.push(pattern, pattern);
+    }
+
+    taskDb.disableExpired();
+    const profile = taskDb.getEligibilityProfile(userId);
+
+    // Eligibility and slots are checked in JS, so keep reading batches until one more task than the
+    // page needs turns up (that one only says there is a next page) or the rows run out
+    const batchSize = Math.max(limit + 1, 50);
+    const found = [];
+    while (found.length <= limit) {
+      const keyset = after ? [`(t.${sort.column} < ? OR (t.${sort.column} = ? AND t.id < ?))`] : [];
+      const rows = selectAvailableTasks(userId, {
+        where: [...where, ...keyset],
+        params: [...params, ...(after ? [after.value, after.value, after.id] : [])],
+        orderBy: `t.${sort.column} DESC, t.id DESC`,
+        limit: batchSize
+      });
+      found.push(...openTasksForUser(rows, profile));
+      if (rows.length < batchSize) break;
+      const last = rows[rows.length - 1];
+      after = { value: last[sort.field], id: last.id };
+    }
+
+    const tasks = found.slice(0, limit);
+    return {
+      tasks,
+      nextCursor: found.length > limit ? encodeCatalogueCursor(sortName, tasks[tasks.length - 1]) : null
+    };
+  },
+
+  // Category, tags and eligibility rules (values from the admin form, already validated)
+  setTargeting: (taskId, targeting) => {
+    const result = db.prepare(`
+      UPDATE tasks
+      SET category = ?, tags = ?, min_account_age_days = ?, min_completed_tasks = ?, requires_verified = ?, referral_rule = ?, phone_prefixes = ?
+      WHERE id = ?
+    `).run(
+      targeting.category,
+      targeting.tags,
+      targeting.min_account_age_days,
+      targeting.min_completed_tasks,
+      targeting.requires_verified,
+      targeting.referral_rule,
+      targeting.phone_prefixes,
+      taskId
+    );
+    if (result.changes === 0) {
+      throw new Error('Task not found');
+    }
+    return result;
   }
 };
 
@@ -553,93 +1802,828 @@ const taskLikeDb = {
   },
 
   getLikeCount: (taskId) => {
-    const task = db.prepare('SELECT initial_likes FROM tasks WHERE id = ?').get(taskId);
-    const userLikes = db.prepare('SELECT COUNT(*) as count FROM task_likes WHERE task_id = ?').get(taskId);
-    return (task?.initial_likes || 0) + (userLikes?.count || 0);
+    return db.prepare('SELECT COUNT(*) as count FROM task_likes WHERE task_id = ?').get(taskId).count;
   },
 
   isLikedByUser: (taskId, userId) => {
     const result = db.prepare('SELECT id FROM task_likes WHERE task_id = ? AND user_id = ?').get(taskId, userId);
     return !!result;
-  },
-
-  getTasksWithLikes: (userId) => {
-    const tasks = taskDb.getAvailableForUser(userId);
-    return tasks.map(task => ({
-      ...task,
-      likeCount: taskLikeDb.getLikeCount(task.id),
-      isLiked: taskLikeDb.isLikedByUser(task.id, userId)
-    }));
   }
 };
 
-// Pending tasks operations
-const pendingTaskDb = {
-  create: (userId, taskId) => {
-    const stmt = db.prepare(`
-      INSERT INTO pending_tasks (user_id, task_id) 
-      VALUES (?, ?)
-    `);
-    return stmt.run(userId, taskId);
+// Ratings, reviews and broken-task reports from users (validated by task-feedback.js)
+const taskFeedbackDb = {
+  // Only users with an approved completion of the task can rate it
+  canReview: (taskId, userId) => {
+    return !!db.prepare('SELECT 1 FROM completed_tasks WHERE task_id = ? AND user_id = ? LIMIT 1').get(taskId, userId);
   },
 
-  getAll: () => {
+  // Add or replace the user's rating and review of a task
+  saveReview: (taskId, userId, { rating, review }) => {
+    if (!taskFeedbackDb.canReview(taskId, userId)) {
+      throw new Error('Only users who completed this task can rate it');
+    }
     return db.prepare(`
-      SELECT pt.*, u.username, u.name, t.title as task_title, t.price 
-      FROM pending_tasks pt
-      JOIN users u ON pt.user_id = u.id
-      JOIN tasks t ON pt.task_id = t.id
-      ORDER BY pt.submitted_at DESC
-    `).all();
+      INSERT INTO task_reviews (task_id, user_id, rating, review) VALUES (?, ?, ?, ?)
+      ON CONFLICT(task_id, user_id) DO UPDATE SET rating = excluded.rating, review = excluded.review, updated_at = CURRENT_TIMESTAMP
+    `).run(taskId, userId, rating, review);
   },
 
-  getByUserId: (userId) => {
-    return db.prepare(`
-      SELECT pt.*, t.title as task_title, t.price 
-      FROM pending_tasks pt
-      JOIN tasks t ON pt.task_id = t.id
-      WHERE pt.user_id = ?
-      ORDER BY pt.submitted_at DESC
-    `).all(userId);
+  // { taskId: { rating_average (1 decimal), rating_count } } for every rated task
+  getRatingSummaries: () => {
+    const summaries = {};
+    const rows = db.prepare('SELECT task_id, ROUND(AVG(rating), 1) as rating_average, COUNT(*) as rating_count FROM task_reviews GROUP BY task_id').all();
+    for (const row of rows) {
+      summaries[row.task_id] = { rating_average: row.rating_average, rating_count: row.rating_count };
+    }
+    return summaries;
   },
 
-  approve: (pendingId, userId, taskId, price) => {
-    // Update pending task status
-    db.prepare('UPDATE pending_tasks SET status = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?')
-      .run('approved', pendingId);
-
-    // Add to completed tasks
-    db.prepare('INSERT OR IGNORE INTO completed_tasks (user_id, task_id) VALUES (?, ?)')
-      .run(userId, taskId);
-
-    // Add balance to user
-    userDb.updateBalance(userId, price, 'task_reward', 'Task completed and approved');
-
-    // Check if this is user's first task completion
-    const user = db.prepare('SELECT referrer_id, first_task_completed FROM users WHERE id = ?').get(userId);
+  // A task's rating summary ({ average, count, distribution: { 1..5: count } }), the latest written
+  // reviews (reviewer's first name only) and the user's own review
+  getReviews: (taskId, userId, limit = 20) => {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let total = 0;
+    for (const row of db.prepare('SELECT rating, COUNT(*) as count FROM task_reviews WHERE task_id = ? GROUP BY rating').all(taskId)) {
+      distribution[row.rating] = row.count;
+      count += row.count;
+      total += row.rating * row.count;
+    }
 
-    if (user && user.referrer_id && user.first_task_completed === 0) {
-      // Mark first task as completed
-      db.prepare('UPDATE users SET first_task_completed = 1 WHERE id = ?').run(userId);
+    const reviews = db.prepare(`
+      SELECT r.rating, r.review, r.updated_at, u.name
+      FROM task_reviews r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.task_id = ? AND r.review <> ''
+      ORDER BY r.updated_at DESC, r.id DESC
+      LIMIT ?
+    `).all(taskId, limit).map(({ name, ...review }) => ({ ...review, reviewer: String(name || '').trim().split(/\s+/)[0] || 'User' }));
 
-      // Give additional ₹15 to referrer
-      const additionalReward = 15;
-      userDb.updateBalance(user.referrer_id, additionalReward, 'referral', 'Referral bonus (first task completed by referred user)');
+    return {
+      summary: { average: count > 0 ? Math.round(total * 10 / count) / 10 : null, count, distribution },
+      reviews,
+      myReview: db.prepare('SELECT rating, review, updated_at FROM task_reviews WHERE task_id = ? AND user_id = ?').get(taskId, userId) || null,
+      canReview: taskFeedbackDb.canReview(taskId, userId)
+    };
+  },
 
-      // Update referral record
-      db.prepare('UPDATE referrals SET reward_amount = reward_amount + ? WHERE referrer_id = ? AND referred_id = ?')
-        .run(additionalReward, user.referrer_id, userId);
+  report: (taskId, userId, { category, details }) => {
+    try {
+      return db.prepare('INSERT INTO task_reports (task_id, user_id, category, details) VALUES (?, ?, ?, ?)')
+        .run(taskId, userId, category, details);
+    } catch (error) {
+      // idx_task_reports_open: one open report per user and task
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new Error('You have already reported this task, we are looking into it');
+      }
+      throw error;
     }
-
-    return { success: true };
   },
 
-  reject: (pendingId, reason) => {
-    return db.prepare('UPDATE pending_tasks SET status = ?, custom_reason = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?')
-      .run('rejected', reason, pendingId);
+  // { taskId: number of open reports }
+  getOpenReportCounts: () => {
+    const counts = {};
+    for (const row of db.prepare(`SELECT task_id, COUNT(*) as count FROM task_reports WHERE status = 'open' GROUP BY task_id`).all()) {
+      counts[row.task_id] = row.count;
+    }
+    return counts;
+  },
+
+  // A task's reports for the admin panel, open ones first
+  getReports: (taskId) => {
+    return db.prepare(`
+      SELECT r.*, u.username, u.name
+      FROM task_reports r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.task_id = ?
+      ORDER BY CASE WHEN r.status = 'open' THEN 0 ELSE 1 END, r.created_at DESC, r.id DESC
+      LIMIT 100
+    `).all(taskId);
+  },
+
+  // Close a task's open reports (e.g. after fixing the link); returns how many were resolved
+  resolveReports: (taskId, resolvedBy) => {
+    return db.prepare(`
+      UPDATE task_reports SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolved_by = ?
+      WHERE task_id = ? AND status = 'open'
+    `).run(resolvedBy, taskId).changes;
+  }
+};
+
+// Number of rejection reasons listed per task in the analytics report
+const TOP_REJECTION_REASONS = 3;
+
+// Per-task performance (detail views -> starts -> submissions -> approvals) for the admin Tasks tab
+const taskAnalyticsDb = {
+  recordView: (taskId, userId) => {
+    return db.prepare(`INSERT OR IGNORE INTO task_views (task_id, user_id, view_date) VALUES (?, ?, date('now'))`)
+      .run(taskId, userId);
+  },
+
+  // range: { from, to } (YYYY-MM-DD, inclusive, UTC). Each metric counts the events that happened in
+  // the range: views and starts when they happened, submissions when submitted, approvals, rejections
+  // and payouts when reviewed. Money is in paise; avg_time_spent is seconds from start to submit of
+  // approved submissions. Returns { tasks: [...], totals }.
+  getReport: (range) => {
+    const inRange = column => `${column} >= @from AND ${column} < date(@to, '+1 day')`;
+
+    const tasks = db.prepare(`
+      SELECT t.id, t.title, t.category, t.price, t.enabled,
+        COALESCE(v.views, 0) as views,
+        COALESCE(s.starts, 0) as starts,
+        COALESCE(sub.submissions, 0) as submissions,
+        COALESCE(r.approvals, 0) as approvals,
+        COALESCE(r.rejections, 0) as rejections,
+        r.avg_time_spent,
+        COALESCE(r.paid, 0) as paid
+      FROM tasks t
+      LEFT JOIN (
+        SELECT task_id, COUNT(*) as views FROM task_views
+        WHERE view_date BETWEEN @from AND @to GROUP BY task_id
+      ) v ON v.task_id = t.id
+      LEFT JOIN (
+        SELECT task_id, COUNT(*) as starts FROM task_sessions
+        WHERE ${inRange('started_at')} GROUP BY task_id
+      ) s ON s.task_id = t.id
+      LEFT JOIN (
+        SELECT task_id, COUNT(*) as submissions FROM pending_tasks
+        WHERE ${inRange('submitted_at')} AND status <> 'duplicate' GROUP BY task_id
+      ) sub ON sub.task_id = t.id
+      LEFT JOIN (
+        -- Approvals before rewards were recorded (pending_tasks.reward) fall back to the task price
+        SELECT pt.task_id,
+          SUM(pt.status = 'approved') as approvals,
+          SUM(pt.status = 'rejected') as rejections,
+          AVG(CASE WHEN pt.status = 'approved' THEN pt.time_spent END) as avg_time_spent,
+          SUM(CASE WHEN pt.status = 'approved' THEN COALESCE(pt.reward, tp.price) ELSE 0 END) as paid
+        FROM pending_tasks pt
+        JOIN tasks tp ON tp.id = pt.task_id
+        WHERE ${inRange('pt.reviewed_at')} AND pt.status IN ('approved', 'rejected')
+        GROUP BY pt.task_id
+      ) r ON r.task_id = t.id
+      ORDER BY t.created_at DESC, t.id DESC
+    `).all(range);
+
+    const reasons = db.prepare(`
+      SELECT task_id, custom_reason as reason, COUNT(*) as count
+      FROM pending_tasks
+      WHERE status = 'rejected' AND ${inRange('reviewed_at')}
+      GROUP BY task_id, custom_reason
+      ORDER BY task_id, count DESC, reason
+    `).all(range);
+    const reasonsByTask = {};
+    for (const row of reasons) {
+      const list = reasonsByTask[row.task_id] = reasonsByTask[row.task_id] || [];
+      if (list.length < TOP_REJECTION_REASONS) {
+        list.push({ reason: row.reason || 'No reason given', count: row.count });
+      }
+    }
+
+    const costPerApproval = (paid, approvals) => approvals > 0 ? Math.round(paid / approvals) : null;
+    const totals = { views: 0, starts: 0, submissions: 0, approvals: 0, rejections: 0, paid: 0 };
+
+    const report = tasks.map(task => {
+      for (const key of Object.keys(totals)) totals[key] += task[key];
+      return {
+        ...task,
+        avg_time_spent: task.avg_time_spent === null ? null : Math.round(task.avg_time_spent),
+        cost_per_approval: costPerApproval(task.paid, task.approvals),
+        top_rejection_reasons: reasonsByTask[task.id] || []
+      };
+    });
+
+    return { tasks: report, totals: { ...totals, cost_per_approval: costPerApproval(totals.paid, totals.approvals) } };
+  }
+};
+
+// Seconds since a session started, measured by the database clock
+const SESSION_ELAPSED_SQL = `CAST((julianday('now') - julianday(started_at)) * 86400 AS INTEGER)`;
+
+// Task session operations (start-task timestamps checked against tasks.timer / tasks.time_limit on submit)
+const taskSessionDb = {
+  // The user's latest unsubmitted session for a task, with `elapsed` seconds
+  getOpen: (userId, taskId) => {
+    return db.prepare(`
+      SELECT *, ${SESSION_ELAPSED_SQL} as elapsed
+      FROM task_sessions
+      WHERE user_id = ? AND task_id = ? AND submitted_at IS NULL
+      ORDER BY id DESC
+      LIMIT 1
+    `).get(userId, taskId);
+  },
+
+  // Start a task, or return the session already running. A session past the time limit is replaced,
+  // so reopening a task never extends the time the user has.
+  start: (userId, task) => db.transaction(() => {
+    const open = taskSessionDb.getOpen(userId, task.id);
+    if (open && !(task.time_limit > 0 && open.elapsed > task.time_limit)) {
+      return open;
+    }
+
+    db.prepare('INSERT INTO task_sessions (user_id, task_id, task_url) VALUES (?, ?, ?)')
+      .run(userId, task.id, task.task_url || '');
+    return taskSessionDb.getOpen(userId, task.id);
+  }).immediate(),
+
+  // The session a submission may use right now; throws if the user submits too early or too late
+  checkSubmit: (userId, task) => {
+    const session = taskSessionDb.getOpen(userId, task.id);
+    if (!session) {
+      throw new Error('Start the task first (tap "Visit Task"), then submit');
+    }
+
+    const minSeconds = task.timer || 0;
+    if (session.elapsed < minSeconds) {
+      throw new Error(`Please spend at least ${minSeconds} seconds on the task (${minSeconds - session.elapsed}s left)`);
+    }
+    if (task.time_limit > 0 && session.elapsed > task.time_limit) {
+      throw new Error(`Time limit of ${task.time_limit} seconds exceeded. Start the task again`);
+    }
+
+    return session;
+  }
+};
+
+// Pending tasks operations
+const pendingTaskDb = {
+  // Returns { attempt, period, occurrence } for the next submission: the current period of the task,
+  // which completion in that period it would be, and which try at that completion. Throws if the
+  // user may not submit it now.
+  checkCanSubmit: (userId, task) => {
+    const { period } = db.prepare(`SELECT ${TASK_PERIOD_SQL} as period FROM tasks t WHERE t.id = ?`).get(task.id);
+
+    const pending = db.prepare(`SELECT COUNT(*) as count FROM pending_tasks WHERE user_id = ? AND task_id = ? AND status = 'pending'`)
+      .get(userId, task.id).count;
+    if (pending > 0) {
+      throw new Error('This task is already submitted and waiting for review');
+    }
+
+    const completed = db.prepare('SELECT COUNT(*) as count FROM completed_tasks WHERE user_id = ? AND task_id = ? AND period_key = ?')
+      .get(userId, task.id, period).count;
+    if (completed >= (task.repeat_limit || 1)) {
+      if (task.repeat_cadence === 'daily') throw new Error('You have done this task for today. Come back tomorrow');
+      if (task.repeat_cadence === 'weekly') throw new Error('You have done this task for this week. Come back next week');
+      if (task.repeat_cadence === 'total') throw new Error(`You have already completed this task ${task.repeat_limit} times`);
+      throw new Error('You have already completed this task');
+    }
+
+    const occurrence = completed + 1;
+    const rejected = db.prepare(`
+      SELECT COUNT(*) as count FROM pending_tasks
+      WHERE user_id = ? AND task_id = ? AND status = 'rejected' AND period_key = ? AND occurrence = ?
+    `).get(userId, task.id, period, occurrence).count;
+    if (rejected > (task.max_resubmissions || 0)) {
+      throw new Error('No resubmissions left for this task');
+    }
+
+    // Otherwise a user could try each option of a multiple-choice step in turn until one is paid
+    const wrongAnswer = db.prepare(`
+      SELECT 1 FROM pending_tasks
+      WHERE user_id = ? AND task_id = ? AND status = 'rejected' AND period_key = ? AND occurrence = ?
+        AND auto_rule_name = ? AND auto_action = 'reject'
+    `).get(userId, task.id, period, occurrence, STEP_CHECK_RULE_NAME);
+    if (wrongAnswer) {
+      throw new Error('This task can\'t be resubmitted after a wrong step answer');
+    }
+
+    return { attempt: rejected + 1, period, occurrence };
+  },
+
+  // proofs: entries from proof-upload.js saveProofFiles ({ kind, value, mimeType?, fileSize?, sha256? }),
+  // step inputs also carry stepIndex and correct (true/false, null when the step has no expected answer)
+  // session: from taskSessionDb.checkSubmit; it is closed here so it can't be used for a second submission
+  // options.autoReview = false skips the auto-review rules (used when the caller decides right away)
+  create: (userId, taskId, proofs = [], session = null, options = {}) => db.transaction(() => {
+    const task = taskDb.getWithUsage(taskId)[0];
+    if (!task) {
+      throw new Error('Task not found');
+    }
+    const { attempt, period, occurrence } = pendingTaskDb.checkCanSubmit(userId, task);
+    taskDb.checkEligibility(userId, task);
+
+    const schedule = getTaskSchedule(task);
+    if (schedule !== 'live') {
+      throw new Error(schedule === 'scheduled' ? 'This task is not live yet' : 'This task has ended');
+    }
+
+    const capacity = getTaskCapacity(task);
+    if (capacity.reason === 'expired') {
+      throw new Error('This task has expired');
+    }
+    if (capacity.slotsLeft === 0) {
+      throw new Error(capacity.reason ? 'This task is full' : 'Today\'s slots for this task are full, try again tomorrow');
+    }
+
+    let timeSpent = null;
+    if (session) {
+      const closed = db.prepare(`
+        UPDATE task_sessions SET submitted_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ? AND task_id = ? AND submitted_at IS NULL
+      `).run(session.id, userId, taskId);
+      if (closed.changes === 0) {
+        throw new Error('This task session was already submitted');
+      }
+      timeSpent = db.prepare(`SELECT ${SESSION_ELAPSED_SQL} as elapsed FROM task_sessions WHERE id = ?`).get(session.id).elapsed;
+    }
+
+    let result;
+    try {
+      result = db.prepare(`
+        INSERT INTO pending_tasks (user_id, task_id, task_session_id, time_spent, attempt, period_key, occurrence) 
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(userId, taskId, session ? session.id : null, timeSpent, attempt, period, occurrence);
+    } catch (error) {
+      // idx_pending_tasks_waiting / idx_pending_tasks_occurrence: another request submitted the same task first
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new Error('This task is already submitted and waiting for review');
+      }
+      throw error;
+    }
+
+    // Turns the task off if this submission used its last slot
+    taskDb.refreshLimits(taskId);
+
+    const insertProof = db.prepare(`
+      INSERT INTO submission_proofs (pending_task_id, kind, value, mime_type, file_size, sha256, step_index, correct)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const proof of proofs) {
+      insertProof.run(
+        result.lastInsertRowid, proof.kind, proof.value, proof.mimeType || '', proof.fileSize || 0, proof.sha256 || '',
+        proof.stepIndex ?? null, typeof proof.correct === 'boolean' ? (proof.correct ? 1 : 0) : null
+      );
+    }
+
+    const autoReview = options.autoReview === false
+      ? null
+      : pendingTaskDb.verifySteps(result.lastInsertRowid, task) || pendingTaskDb.autoReview(result.lastInsertRowid);
+    return { ...result, autoReview };
+  })(),
+
+  // What auto-review rules look at for a submission (see auto-review.js for the shape).
+  // The approval rate only counts the user's submissions decided before this one.
+  getReviewFacts: (pendingId) => {
+    const submission = db.prepare(`
+      SELECT pt.id, pt.user_id, pt.time_spent, t.timer, t.category, t.price,
+        CAST(julianday('now') - julianday(u.created_at) AS INTEGER) as account_age_days,
+        (SELECT COUNT(*) FROM submission_proofs WHERE pending_task_id = pt.id) as proof_count
+      FROM pending_tasks pt
+      JOIN tasks t ON pt.task_id = t.id
+      JOIN users u ON pt.user_id = u.id
+      WHERE pt.id = ?
+    `).get(pendingId);
+
+    const history = db.prepare(`
+      SELECT SUM(status = 'approved') as approved, SUM(status = 'rejected') as rejected
+      FROM pending_tasks
+      WHERE user_id = ? AND id <> ?
+    `).get(submission.user_id, pendingId);
+    const reviewedCount = (history.approved || 0) + (history.rejected || 0);
+
+    return {
+      approvalRate: reviewedCount > 0 ? (history.approved || 0) * 100 / reviewedCount : null,
+      reviewedCount,
+      accountAgeDays: submission.account_age_days,
+      category: submission.category,
+      hasProof: submission.proof_count > 0,
+      timerSatisfied: submission.time_spent !== null && submission.time_spent >= submission.timer,
+      reward: submission.price
+    };
+  },
+
+  // Decide a new submission from its step answers before any auto-review rule runs: a wrong answer
+  // to a checked step rejects it for good (no resubmission, and the reason doesn't say which step),
+  // and with tasks.auto_verify_steps every checked step answered correctly approves it.
+  // Returns the same shape as autoReview, or null to carry on.
+  verifySteps: (pendingId, task) => db.transaction(() => {
+    if (!hasCheckedSteps(task.steps)) return null;
+
+    const checkedSteps = parseSteps(task.steps)
+      .map((step, index) => ({ ...step, index }))
+      .filter(step => step.answer);
+    const answers = db.prepare(`
+      SELECT step_index, correct FROM submission_proofs WHERE pending_task_id = ? AND correct IS NOT NULL
+    `).all(pendingId);
+
+    const anyWrong = answers.some(a => a.correct === 0);
+    const allCorrect = checkedSteps.every(step => answers.some(a => a.step_index === step.index && a.correct === 1));
+
+    let action = null;
+    let reason = '';
+    if (anyWrong) {
+      action = 'reject';
+      reason = 'One or more answers were wrong';
+    } else if (task.auto_verify_steps && allCorrect) {
+      action = 'approve';
+    }
+    if (!action) return null;
+
+    db.prepare('UPDATE pending_tasks SET auto_rule_id = NULL, auto_rule_name = ?, auto_action = ? WHERE id = ?')
+      .run(STEP_CHECK_RULE_NAME, action, pendingId);
+
+    let reward = 0;
+    if (action === 'approve') {
+      reward = pendingTaskDb.approve(pendingId, AUTO_REVIEWER).reward;
+    } else {
+      pendingTaskDb.reject(pendingId, reason, AUTO_REVIEWER);
+    }
+
+    return { action, ruleId: null, ruleName: STEP_CHECK_RULE_NAME, reason, reward };
+  })(),
+
+  // Run the enabled rules on a new submission and carry out the first match.
+  // Returns { action, ruleId, ruleName, reason, reward } or null when no rule matched (manual review).
+  autoReview: (pendingId) => db.transaction(() => {
+    const rule = findMatchingRule(autoReviewRuleDb.getAll(), pendingTaskDb.getReviewFacts(pendingId));
+    if (!rule) return null;
+
+    db.prepare('UPDATE pending_tasks SET auto_rule_id = ?, auto_rule_name = ?, auto_action = ? WHERE id = ?')
+      .run(rule.id, rule.name, rule.action, pendingId);
+
+    let reward = 0;
+    if (rule.action === 'approve') {
+      reward = pendingTaskDb.approve(pendingId, AUTO_REVIEWER).reward;
+    } else if (rule.action === 'reject') {
+      pendingTaskDb.reject(pendingId, rule.reject_reason, AUTO_REVIEWER);
+    }
+
+    return { action: rule.action, ruleId: rule.id, ruleName: rule.name, reason: rule.reject_reason, reward };
+  })(),
+
+  // Submissions with their proof attached as `proofs` (one query for all proof rows)
+  getAll: () => {
+    const pendingTasks = db.prepare(`
+      SELECT pt.*, u.username, u.name, t.title as task_title, t.price, t.proof_instructions 
+      FROM pending_tasks pt
+      JOIN users u ON pt.user_id = u.id
+      JOIN tasks t ON pt.task_id = t.id
+      ORDER BY pt.submitted_at DESC
+    `).all();
+
+    const proofs = pendingTaskDb.getProofs(pendingTasks.map(pt => pt.id));
+    return pendingTasks.map(pt => ({ ...pt, proofs: proofs[pt.id] || [] }));
+  },
+
+  // { pendingTaskId: [proof rows] } for the given submissions
+  getProofs: (pendingTaskIds) => {
+    if (pendingTaskIds.length === 0) return {};
+
+    const rows = db.prepare(`
+      SELECT id, pending_task_id, kind, value, mime_type, file_size, step_index, correct, created_at
+      FROM submission_proofs
+      WHERE pending_task_id IN (SELECT value FROM json_each(?))
+      ORDER BY id
+    `).all(JSON.stringify(pendingTaskIds));
+
+    const byPendingTask = {};
+    for (const row of rows) {
+      (byPendingTask[row.pending_task_id] = byPendingTask[row.pending_task_id] || []).push(row);
+    }
+    return byPendingTask;
+  },
+
+  // Proof row for a stored screenshot (the admin proof route only serves files recorded here)
+  getProofFile: (filename) => {
+    return db.prepare(`SELECT * FROM submission_proofs WHERE kind = 'screenshot' AND value = ?`).get(filename);
+  },
+
+  // can_resubmit marks the latest submission of a task if it was rejected in the current period
+  // (not for a wrong step answer) and that completion still has resubmissions left
+  getByUserId: (userId) => {
+    return db.prepare(`
+      SELECT pt.*, t.title as task_title, t.price,
+        (SELECT rating FROM task_reviews WHERE task_id = pt.task_id AND user_id = pt.user_id) as my_rating,
+        CASE WHEN pt.status = 'rejected' AND t.enabled = 1
+          AND pt.id = (SELECT MAX(id) FROM pending_tasks WHERE user_id = pt.user_id AND task_id = pt.task_id)
+          AND pt.period_key = ${TASK_PERIOD_SQL}
+          AND NOT (COALESCE(pt.auto_rule_name, '') = '${STEP_CHECK_RULE_NAME}' AND pt.auto_action = 'reject')
+          AND (
+            SELECT COUNT(*) FROM pending_tasks
+            WHERE user_id = pt.user_id AND task_id = pt.task_id AND status = 'rejected'
+            AND period_key = pt.period_key AND occurrence = pt.occurrence
+          ) <= t.max_resubmissions
+        THEN 1 ELSE 0 END as can_resubmit
+      FROM pending_tasks pt
+      JOIN tasks t ON pt.task_id = t.id
+      WHERE pt.user_id = ?
+      ORDER BY pt.submitted_at DESC
+    `).all(userId);
+  },
+
+  // Pending submissions for the moderation queue, oldest first, with proofs and claim state.
+  // filters: { taskId, userId, minAgeHours, maxAgeHours, claim: 'all'|'unclaimed'|'mine', limit }
+  // claimed_by is only set while the claim is active.
+  getQueue: (filters, reviewer) => {
+    const conditions = [`pt.status = 'pending'`];
+    const params = [];
+
+    if (filters.taskId) {
+      conditions.push('pt.task_id = ?');
+      params.push(filters.taskId);
+    }
+    if (filters.userId) {
+      conditions.push('pt.user_id = ?');
+      params.push(filters.userId);
+    }
+    if (filters.minAgeHours) {
+      conditions.push(`pt.submitted_at <= datetime('now', ?)`);
+      params.push(`-${filters.minAgeHours} hours`);
+    }
+    if (filters.maxAgeHours) {
+      conditions.push(`pt.submitted_at >= datetime('now', ?)`);
+      params.push(`-${filters.maxAgeHours} hours`);
+    }
+    if (filters.claim === 'unclaimed') {
+      conditions.push(`(NOT ${ACTIVE_CLAIM_SQL} OR pt.claimed_by = ?)`);
+      params.push(reviewer);
+    } else if (filters.claim === 'mine') {
+      conditions.push(`${ACTIVE_CLAIM_SQL} AND pt.claimed_by = ?`);
+      params.push(reviewer);
+    }
+
+    const rows = db.prepare(`
+      SELECT pt.id, pt.user_id, pt.task_id, pt.status, pt.submitted_at, pt.time_spent, pt.attempt, pt.auto_rule_name, pt.auto_action,
+        CASE WHEN ${ACTIVE_CLAIM_SQL} THEN pt.claimed_by END as claimed_by,
+        CASE WHEN ${ACTIVE_CLAIM_SQL} THEN pt.claimed_at END as claimed_at,
+        u.username, u.name, t.title as task_title, t.price, t.proof_instructions
+      FROM pending_tasks pt
+      JOIN users u ON pt.user_id = u.id
+      JOIN tasks t ON pt.task_id = t.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY pt.submitted_at, pt.id
+      LIMIT ?
+    `).all(...params, filters.limit);
+
+    const proofs = pendingTaskDb.getProofs(rows.map(pt => pt.id));
+    return rows.map(pt => ({ ...pt, proofs: proofs[pt.id] || [] }));
+  },
+
+  // Claim up to filters.limit queue items that nobody else is reviewing (extends the reviewer's
+  // own claims). Returns the ids claimed.
+  claim: (filters, reviewer) => db.transaction(() => {
+    const ids = pendingTaskDb.getQueue({ ...filters, claim: 'unclaimed' }, reviewer).map(pt => pt.id);
+    if (ids.length > 0) {
+      db.prepare(`
+        UPDATE pending_tasks SET claimed_by = ?, claimed_at = CURRENT_TIMESTAMP
+        WHERE id IN (SELECT value FROM json_each(?)) AND status = 'pending'
+      `).run(reviewer, JSON.stringify(ids));
+    }
+    return ids;
+  }).immediate(),
+
+  // Give back the reviewer's claims (all of them when no ids are given)
+  release: (reviewer, pendingIds) => {
+    const result = pendingIds && pendingIds.length
+      ? db.prepare(`
+          UPDATE pending_tasks SET claimed_by = NULL, claimed_at = NULL
+          WHERE claimed_by = ? AND id IN (SELECT value FROM json_each(?))
+        `).run(reviewer, JSON.stringify(pendingIds))
+      : db.prepare('UPDATE pending_tasks SET claimed_by = NULL, claimed_at = NULL WHERE claimed_by = ?').run(reviewer);
+    return result.changes;
+  },
+
+  // A pending submission the reviewer may decide: not reviewed yet and not claimed by someone else
+  getForReview: (pendingId, reviewer) => {
+    const submission = db.prepare(`
+      SELECT pt.*, t.price, ${ACTIVE_CLAIM_SQL} as claim_active
+      FROM pending_tasks pt
+      JOIN tasks t ON pt.task_id = t.id
+      WHERE pt.id = ?
+    `).get(pendingId);
+
+    if (!submission || submission.status !== 'pending') {
+      throw new Error('Submission not found or already reviewed');
+    }
+    if (submission.claim_active && submission.claimed_by !== reviewer) {
+      throw new Error(`Submission is being reviewed by ${submission.claimed_by}`);
+    }
+    return submission;
+  },
+
+  // Approve a submission and pay the task's current price (the reward never comes from the request)
+  approve: (pendingId, reviewer) => db.transaction(() => {
+    const submission = pendingTaskDb.getForReview(pendingId, reviewer);
+    const { user_id: userId, price: reward } = submission;
+
+    // Only a pending submission can be approved (and paid) once
+    const updated = db.prepare(`
+      UPDATE pending_tasks
+      SET status = 'approved', reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ?, reward = ?, claimed_by = NULL, claimed_at = NULL
+      WHERE id = ? AND status = 'pending'
+    `).run(reviewer, reward, pendingId);
+    if (updated.changes === 0) {
+      throw new Error('Submission not found or already reviewed');
+    }
+
+    // Add to completed tasks, for the period the submission was made in
+    db.prepare(`
+      INSERT OR IGNORE INTO completed_tasks (user_id, task_id, period_key, occurrence)
+      SELECT user_id, task_id, period_key, occurrence FROM pending_tasks WHERE id = ?
+    `).run(pendingId);
+
+    // Add balance to user
+    userDb.updateBalance(userId, reward, 'task_reward', 'Task completed and approved');
+
+    // Referral rewards for the task milestone this approval reaches
+    db.prepare('UPDATE users SET first_task_completed = 1 WHERE id = ? AND first_task_completed = 0').run(userId);
+    const completed = db.prepare('SELECT COUNT(*) as count FROM completed_tasks WHERE user_id = ?').get(userId).count;
+    referralDb.payRewards(userId, reward =>
+      (reward.event === 'first_task' && completed === 1) || (reward.event === 'tasks' && completed === reward.count));
+
+    return { success: true, reward };
+  })(),
+
+  reject: (pendingId, reason, reviewer) => db.transaction(() => {
+    const { task_id: taskId } = pendingTaskDb.getForReview(pendingId, reviewer);
+
+    const result = db.prepare(`
+      UPDATE pending_tasks
+      SET status = 'rejected', custom_reason = ?, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ?, claimed_by = NULL, claimed_at = NULL
+      WHERE id = ? AND status = 'pending'
+    `).run(reason, reviewer, pendingId);
+    if (result.changes === 0) {
+      throw new Error('Submission not found or already reviewed');
+    }
+
+    // The rejected submission frees its slot, which can re-open a task that filled up
+    taskDb.refreshLimits(taskId);
+
+    return result;
+  })(),
+
+  // Bulk decisions run in one transaction: if any submission can't be decided, none are
+  approveMany: (pendingIds, reviewer) => db.transaction(() => {
+    let totalReward = 0;
+    for (const pendingId of pendingIds) {
+      try {
+        totalReward += pendingTaskDb.approve(pendingId, reviewer).reward;
+      } catch (error) {
+        throw new Error(`Submission #${pendingId}: ${error.message}`);
+      }
+    }
+    return { count: pendingIds.length, totalReward };
+  }).immediate(),
+
+  rejectMany: (pendingIds, reason, reviewer) => db.transaction(() => {
+    for (const pendingId of pendingIds) {
+      try {
+        pendingTaskDb.reject(pendingId, reason, reviewer);
+      } catch (error) {
+        throw new Error(`Submission #${pendingId}: ${error.message}`);
+      }
+    }
+    return { count: pendingIds.length };
+  }).immediate()
+};
+
+// Auto-review rules (validated by normalizeRule in auto-review.js before saving)
+const autoReviewRuleDb = {
+  getAll: () => {
+    return db.prepare('SELECT * FROM auto_review_rules ORDER BY priority ASC, id ASC').all()
+      .map(rule => ({ ...rule, conditions: JSON.parse(rule.conditions || '{}') }));
+  },
+
+  create: (rule, updatedBy) => {
+    return db.prepare(`
+      INSERT INTO auto_review_rules (name, priority, enabled, action, reject_reason, conditions, updated_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(rule.name, rule.priority, rule.enabled, rule.action, rule.reject_reason, JSON.stringify(rule.conditions), updatedBy || '');
+  },
+
+  update: (ruleId, rule, updatedBy) => {
+    const result = db.prepare(`
+      UPDATE auto_review_rules
+      SET name = ?, priority = ?, enabled = ?, action = ?, reject_reason = ?, conditions = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(rule.name, rule.priority, rule.enabled, rule.action, rule.reject_reason, JSON.stringify(rule.conditions), updatedBy || '', ruleId);
+    if (result.changes === 0) {
+      throw new Error('Rule not found');
+    }
+    return result;
+  },
+
+  // Submissions keep auto_rule_name, so deleting a rule doesn't lose the history
+  delete: (ruleId) => {
+    const result = db.prepare('DELETE FROM auto_review_rules WHERE id = ?').run(ruleId);
+    if (result.changes === 0) {
+      throw new Error('Rule not found');
+    }
+    return result;
   }
 };
 
+// Advertiser partners and their postbacks
+const advertiserDb = {
+  // Partners with the IDs of their linked tasks (task_ids) and postback counts
+  getAll: () => {
+    return db.prepare(`
+      SELECT p.*,
+        COALESCE((SELECT json_group_array(id) FROM tasks WHERE advertiser_id = p.id), '[]') as task_ids,
+        (SELECT COUNT(*) FROM postback_events WHERE partner_id = p.id AND status = 'approved') as approved_count,
+        (SELECT COUNT(*) FROM postback_events WHERE partner_id = p.id AND status <> 'approved') as failed_count
+      FROM advertiser_partners p
+      ORDER BY p.id
+    `).all().map(partner => ({ ...partner, task_ids: JSON.parse(partner.task_ids) }));
+  },
+
+  getById: (partnerId) => {
+    return db.prepare('SELECT * FROM advertiser_partners WHERE id = ?').get(partnerId);
+  },
+
+  create: (name, secret, createdBy) => {
+    return db.prepare('INSERT INTO advertiser_partners (name, secret, created_by) VALUES (?, ?, ?)')
+      .run(name, secret, createdBy || '');
+  },
+
+  // The old secret stops working immediately
+  rotateSecret: (partnerId, secret) => {
+    const result = db.prepare('UPDATE advertiser_partners SET secret = ?, secret_rotated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(secret, partnerId);
+    if (result.changes === 0) {
+      throw new Error('Partner not found');
+    }
+    return result;
+  },
+
+  setEnabled: (partnerId, enabled) => {
+    const result = db.prepare('UPDATE advertiser_partners SET enabled = ? WHERE id = ?').run(enabled ? 1 : 0, partnerId);
+    if (result.changes === 0) {
+      throw new Error('Partner not found');
+    }
+    return result;
+  },
+
+  // Link exactly these tasks to the partner (a task belongs to at most one partner)
+  setTasks: (partnerId, taskIds) => db.transaction(() => {
+    if (!advertiserDb.getById(partnerId)) {
+      throw new Error('Partner not found');
+    }
+    db.prepare('UPDATE tasks SET advertiser_id = NULL WHERE advertiser_id = ?').run(partnerId);
+    const link = db.prepare('UPDATE tasks SET advertiser_id = ? WHERE id = ?');
+    for (const taskId of taskIds) {
+      if (link.run(partnerId, taskId).changes === 0) {
+        throw new Error(`Task #${taskId} not found`);
+      }
+    }
+  })(),
+
+  getEvents: (limit = 50) => {
+    return db.prepare(`
+      SELECT e.*, p.name as partner_name
+      FROM postback_events e
+      LEFT JOIN advertiser_partners p ON e.partner_id = p.id
+      ORDER BY e.id DESC
+      LIMIT ?
+    `).all(limit);
+  },
+
+  // Postbacks that were refused (bad signature, replay, ...) are logged outside the approval transaction
+  logFailure: (event) => {
+    return db.prepare(`
+      INSERT INTO postback_events (partner_id, txn_id, user_id, task_id, status, message, ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(event.partnerId || null, event.txnId || null, event.userId || null, event.taskId || null, event.status, event.message, event.ip || '');
+  },
+
+  // Approve the user's pending submission for the task, or create one and approve it.
+  // Returns { pendingId, reward, created }.
+  applyPostback: (partner, { userId, taskId, txnId }, ip) => db.transaction(() => {
+    const replay = db.prepare(`SELECT id FROM postback_events WHERE partner_id = ? AND txn_id = ? AND status = 'approved'`)
+      .get(partner.id, txnId);
+    if (replay) {
+      throw new Error('Duplicate transaction ID');
+    }
+
+    const task = taskDb.getById(taskId);
+    if (!task || task.advertiser_id !== partner.id) {
+      throw new Error('Task is not linked to this partner');
+    }
+    if (!userDb.findById(userId)) {
+      throw new Error('User not found');
+    }
+
+    let pending = db.prepare(`SELECT id FROM pending_tasks WHERE user_id = ? AND task_id = ? AND status = 'pending'`)
+      .get(userId, taskId);
+    const created = !pending;
+    if (created) {
+      pending = { id: pendingTaskDb.create(userId, taskId, [], null, { autoReview: false }).lastInsertRowid };
+    }
+
+    const reviewer = `postback:${partner.name}`;
+    // A partner's confirmation overrides a reviewer's claim on the submission
+    db.prepare('UPDATE pending_tasks SET claimed_by = NULL, claimed_at = NULL WHERE id = ?').run(pending.id);
+    const { reward } = pendingTaskDb.approve(pending.id, reviewer);
+
+    db.prepare(`
+      INSERT INTO postback_events (partner_id, txn_id, user_id, task_id, pending_task_id, status, message, ip)
+      VALUES (?, ?, ?, ?, ?, 'approved', ?, ?)
+    `).run(partner.id, txnId, userId, taskId, pending.id, created ? 'Submission created and approved' : 'Pending submission approved', ip || '');
+
+    return { pendingId: pending.id, reward, created };
+  }).immediate()
+};
+
 // Daily checkin operations
 const checkinDb = {
   getLastCheckin: (userId) => {
@@ -651,18 +2635,18 @@ const checkinDb = {
     `).get(userId);
   },
 
-  claim: (userId, day, amount) => {
+  claim: (userId, day, amount) => db.transaction(() => {
     const stmt = db.prepare(`
       INSERT INTO daily_checkin (user_id, day, amount) 
       VALUES (?, ?, ?)
     `);
-    const result = stmt.run(userId, day, amount);
+    const result = stmt.run(userId, day, requirePaise(amount));
 
     // Add balance
     userDb.updateBalance(userId, amount, 'daily_checkin', `Day ${day} daily check-in`);
 
     return result;
-  },
+  })(),
 
   getCheckinHistory: (userId) => {
     return db.prepare(`
@@ -674,66 +2658,454 @@ const checkinDb = {
 };
 
 // Transaction operations
+// Transaction pages are cursor-paginated on (created_at, id), newest first.
+// The cursor is opaque to clients: base64url of "created_at|id" of the last row returned.
+function encodeTransactionCursor(row) {
+  return Buffer.from(`${row.created_at}|${row.id}`).toString('base64url');
+}
+
+function decodeTransactionCursor(cursor) {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  if (!createdAt || !/^\d+$/.test(id || '')) {
+    throw new Error('Invalid cursor');
+  }
+  return { createdAt, id: parseInt(id, 10) };
+}
+
 const transactionDb = {
-  getByUserId: (userId) => {
-    return db.prepare(`
-      SELECT * FROM transactions 
-      WHERE user_id = ? 
-      ORDER BY created_at DESC
-    `).all(userId);
-  },
+  // Filters: userId, types (array), from/to (YYYY-MM-DD, UTC, inclusive),
+  // minAmount/maxAmount (paise, compared against the absolute amount), cursor, limit
+  list: (filters = {}) => {
+    const where = [];
+    const params = [];
+
+    if (filters.userId) {
+      where.push('t.user_id = ?');
+      params.push(filters.userId);
+    }
+    if (filters.types && filters.types.length > 0) {
+      where.push(`t.type IN (${filters.types.map(() => '?').join(', ')})`);
+      params.push(...filters.types);
+    }
+    if (filters.from) {
+      where.push('t.created_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push(`t.created_at < date(?, '+1 day')`);
+      params.push(filters.to);
+    }
+    if (filters.minAmount !== undefined) {
+      where.push('ABS(t.amount) >= ?');
+      params.push(filters.minAmount);
+    }
+    if (filters.maxAmount !== undefined) {
+      where.push('ABS(t.amount) <= ?');
+      params.push(filters.maxAmount);
+    }
+    if (filters.cursor) {
+      const cursor = decodeTransactionCursor(filters.cursor);
+      where.push('(t.created_at < ? OR (t.created_at = ? AND t.id < ?))');
+      params.push(cursor.createdAt, cursor.createdAt, cursor.id);
+    }
 
-  getAll: () => {
-    return db.prepare(`
+    const limit = filters.limit || 50;
+    const rows = db.prepare(`
       SELECT t.*, u.username, u.name 
       FROM transactions t
       JOIN users u ON t.user_id = u.id
-      ORDER BY t.created_at DESC
-      LIMIT 100
+      ${where.length > 0 ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY t.created_at DESC, t.id DESC
+      LIMIT ?
+    `).all(...params, limit + 1);
+
+    const transactions = rows.slice(0, limit);
+    return {
+      transactions,
+      nextCursor: rows.length > limit ? encodeTransactionCursor(transactions[transactions.length - 1]) : null
+    };
+  },
+
+  // Distinct transaction types, for filter dropdowns
+  getTypes: (userId) => {
+    const rows = userId
+      ? db.prepare('SELECT DISTINCT type FROM transactions WHERE user_id = ? ORDER BY type').all(userId)
+      : db.prepare('SELECT DISTINCT type FROM transactions ORDER BY type').all();
+    return rows.map(r => r.type);
+  },
+
+  // Wallet statement for a calendar month (YYYY-MM, UTC). Balances are the available wallet balance,
+  // i.e. the running sum of the user's transactions.
+  getStatement: (userId, month) => {
+    const period = db.prepare(`SELECT ? || '-01 00:00:00' as start, datetime(? || '-01', '+1 month') as end`).get(month, month);
+
+    const opening = db.prepare(`
+      SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE user_id = ? AND created_at < ?
+    `).get(userId, period.start);
+
+    const transactions = db.prepare(`
+      SELECT * FROM transactions 
+      WHERE user_id = ? AND created_at >= ? AND created_at < ? 
+      ORDER BY created_at ASC, id ASC
+    `).all(userId, period.start, period.end);
+
+    const totalsByType = db.prepare(`
+      SELECT type, COUNT(*) as count,
+        COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) as credits,
+        COALESCE(SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END), 0) as debits,
+        COALESCE(SUM(amount), 0) as net
+      FROM transactions 
+      WHERE user_id = ? AND created_at >= ? AND created_at < ? 
+      GROUP BY type 
+      ORDER BY type
+    `).all(userId, period.start, period.end);
+
+    const net = transactions.reduce((sum, t) => sum + t.amount, 0);
+
+    return {
+      month,
+      periodStart: period.start,
+      periodEnd: period.end,
+      openingBalance: opening.total,
+      closingBalance: opening.total + net,
+      totalCredits: totalsByType.reduce((sum, t) => sum + t.credits, 0),
+      totalDebits: totalsByType.reduce((sum, t) => sum + t.debits, 0),
+      totalsByType,
+      transactions
+    };
+  }
+};
+
+// Ledger operations
+const ledgerDb = {
+  // Post one balance movement: transaction row, balanced ledger entries and cached balance, atomically
+  post: (userId, amount, type, reason) => db.transaction(() => {
+    requirePaise(amount);
+
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const tranResult = db.prepare(`
+      INSERT INTO transactions (user_id, type, amount, reason) 
+      VALUES (?, ?, ?, ?)
+    `).run(userId, type, amount, reason);
+
+    writeLedgerEntries(tranResult.lastInsertRowid, userId, amount, type);
+
+    db.prepare('UPDATE users SET balance = balance + ? WHERE id = ?').run(amount, userId);
+
+    return { transactionId: tranResult.lastInsertRowid };
+  })(),
+
+  // Reserve funds: move them from the user's available wallet into their hold account
+  hold: (userId, amount, reason) => db.transaction(() => {
+    requirePaise(amount);
+
+    const user = db.prepare('SELECT id, balance FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (amount > user.balance) {
+      throw new Error('Insufficient available balance');
+    }
+
+    const tranResult = db.prepare(`
+      INSERT INTO transactions (user_id, type, amount, reason) 
+      VALUES (?, 'withdrawal', ?, ?)
+    `).run(userId, -amount, reason);
+
+    writeLedgerTransfer(
+      tranResult.lastInsertRowid,
+      { account: USER_WALLET_ACCOUNT, userId },
+      { account: USER_HOLD_ACCOUNT, userId },
+      amount
+    );
+
+    db.prepare('UPDATE users SET balance = balance - ?, held_balance = held_balance + ? WHERE id = ?')
+      .run(amount, amount, userId);
+
+    return { transactionId: tranResult.lastInsertRowid };
+  })(),
+
+  // Give held funds back to the user's available wallet
+  release: (userId, amount, reason) => db.transaction(() => {
+    requirePaise(amount);
+
+    const tranResult = db.prepare(`
+      INSERT INTO transactions (user_id, type, amount, reason) 
+      VALUES (?, 'withdrawal_release', ?, ?)
+    `).run(userId, amount, reason);
+
+    writeLedgerTransfer(
+      tranResult.lastInsertRowid,
+      { account: USER_HOLD_ACCOUNT, userId },
+      { account: USER_WALLET_ACCOUNT, userId },
+      amount
+    );
+
+    db.prepare('UPDATE users SET balance = balance + ?, held_balance = held_balance - ? WHERE id = ?')
+      .run(amount, amount, userId);
+
+    return { transactionId: tranResult.lastInsertRowid };
+  })(),
+
+  // Pay out held funds; the entries are added to the original hold transaction
+  settle: (holdTransactionId, userId, amount) => db.transaction(() => {
+    requirePaise(amount);
+
+    writeLedgerTransfer(
+      holdTransactionId,
+      { account: USER_HOLD_ACCOUNT, userId },
+      { account: PAYOUTS_ACCOUNT },
+      amount
+    );
+
+    db.prepare('UPDATE users SET held_balance = held_balance - ? WHERE id = ?').run(amount, userId);
+  })(),
+
+  getUserBalance: (userId) => {
+    const result = db.prepare(`
+      SELECT COALESCE(SUM(amount), 0) as total 
+      FROM ledger_entries 
+      WHERE account = ? AND user_id = ?
+    `).get(USER_WALLET_ACCOUNT, userId);
+    return result.total;
+  },
+
+  getUserHeld: (userId) => {
+    const result = db.prepare(`
+      SELECT COALESCE(SUM(amount), 0) as total 
+      FROM ledger_entries 
+      WHERE account = ? AND user_id = ?
+    `).get(USER_HOLD_ACCOUNT, userId);
+    return result.total;
+  },
+
+  getEntriesByTransaction: (transactionId) => {
+    return db.prepare('SELECT * FROM ledger_entries WHERE transaction_id = ? ORDER BY id ASC').all(transactionId);
+  },
+
+  // Recompute every user's balance from the ledger and list anything that doesn't add up
+  reconcile: () => {
+    const users = db.prepare(`
+      SELECT u.id, u.username, u.name, u.balance, u.held_balance,
+        COALESCE(SUM(CASE WHEN l.account = ? THEN l.amount END), 0) as ledger_balance,
+        COALESCE(SUM(CASE WHEN l.account = ? THEN l.amount END), 0) as ledger_held
+      FROM users u
+      LEFT JOIN ledger_entries l ON l.user_id = u.id
+      GROUP BY u.id
+      ORDER BY u.id ASC
+    `).all(USER_WALLET_ACCOUNT, USER_HOLD_ACCOUNT);
+
+    const mismatches = users
+      .map(u => ({
+        ...u,
+        difference: u.balance - u.ledger_balance,
+        heldDifference: u.held_balance - u.ledger_held
+      }))
+      .filter(u => u.difference !== 0 || u.heldDifference !== 0);
+
+    const unbalancedTransactions = db.prepare(`
+      SELECT transaction_id, SUM(amount) as total
+      FROM ledger_entries
+      GROUP BY transaction_id
+      HAVING SUM(amount) != 0
     `).all();
+
+    return {
+      usersChecked: users.length,
+      mismatches,
+      unbalancedTransactions
+    };
   }
 };
 
-// Referral operations
-const referralDb = {
-  create: (referrerId, referredId, rewardAmount) => {
-    const stmt = db.prepare(`
-      INSERT INTO referrals (referrer_id, referred_id, reward_amount) 
-      VALUES (?, ?, ?)
-    `);
-    const result = stmt.run(referrerId, referredId, rewardAmount);
+// Referral operations
+const referralDb = {
+  // Record that referredId signed up with referrerId's code, on the active plan, and pay the signup reward
+  create: (referrerId, referredId) => db.transaction(() => {
+    const plan = referralPlanDb.getActive();
+    const result = db.prepare(`
+      INSERT INTO referrals (referrer_id, referred_id, reward_amount, plan_id) 
+      VALUES (?, ?, 0, ?)
+    `).run(referrerId, referredId, plan ? plan.id : null);
 
     // Save referrer_id in referred user's record
     db.prepare('UPDATE users SET referrer_id = ? WHERE id = ?').run(referrerId, referredId);
 
-    // Add reward to referrer
-    if (rewardAmount > 0) {
-      userDb.updateBalance(referrerId, rewardAmount, 'referral', 'Referral bonus (instant ₹5)');
-    }
+    referralDb.payRewards(referredId, reward => reward.event === 'signup');
 
     return result;
-  },
+  })(),
+
+  // Pay the rewards of the referred user's plan that `reached` picks, to every referrer level up the
+  // chain. Each reward is paid once per referral and level; banned referrers are skipped.
+  // Level 1 payouts also add up in referrals.reward_amount. Returns the payouts made.
+  payRewards: (referredId, reached) => db.transaction(() => {
+    const referral = db.prepare(`
+      SELECT r.*, p.levels, p.rewards, u.name as referred_name
+      FROM referrals r
+      JOIN referral_plans p ON r.plan_id = p.id
+      JOIN users u ON r.referred_id = u.id
+      WHERE r.referred_id = ?
+      ORDER BY r.id ASC LIMIT 1
+    `).get(referredId);
+    if (!referral) return [];
+
+    const firstName = String(referral.referred_name || '').trim().split(/\s+/)[0] || 'your referral';
+    const insertPayout = db.prepare(`
+      INSERT OR IGNORE INTO referral_payouts (referral_id, plan_id, beneficiary_id, level, event, milestone, amount)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const payouts = [];
+
+    for (const reward of JSON.parse(referral.rewards).filter(reached)) {
+      const milestone = reward.count || 0;
+      const visited = new Set([referredId]);
+      let beneficiaryId = referral.referrer_id;
+
+      for (let level = 1; level <= referral.levels && beneficiaryId && !visited.has(beneficiaryId); level++) {
+        visited.add(beneficiaryId);
+        const beneficiary = db.prepare('SELECT id, referrer_id, banned FROM users WHERE id = ?').get(beneficiaryId);
+        if (!beneficiary) break;
+
+        const amount = reward.amounts[level - 1] || 0;
+        if (amount > 0 && !beneficiary.banned) {
+          const inserted = insertPayout.run(referral.id, referral.plan_id, beneficiary.id, level, reward.event, milestone, amount);
+          if (inserted.changes > 0) {
+            const reason = `Referral bonus${level > 1 ? ` (level ${level})` : ''}: ${describeReferralEvent(reward.event, reward.count)} by ${firstName}`;
+            const { transactionId } = userDb.updateBalance(beneficiary.id, amount, 'referral', reason);
+            db.prepare('UPDATE referral_payouts SET transaction_id = ? WHERE id = ?').run(transactionId, inserted.lastInsertRowid);
+            if (level === 1) {
+              db.prepare('UPDATE referrals SET reward_amount = reward_amount + ? WHERE id = ?').run(amount, referral.id);
+            }
+            payouts.push({ beneficiaryId: beneficiary.id, level, event: reward.event, milestone, amount });
+          }
+        }
+
+        beneficiaryId = beneficiary.referrer_id;
+      }
+    }
+
+    return payouts;
+  })(),
 
   getByUserId: (userId) => {
     return db.prepare(`
-      SELECT r.*, u.username, u.name 
+      SELECT r.*, u.username, u.name, p.name as plan_name
       FROM referrals r
       JOIN users u ON r.referred_id = u.id
+      LEFT JOIN referral_plans p ON r.plan_id = p.id
       WHERE r.referrer_id = ?
       ORDER BY r.created_at DESC
     `).all(userId);
+  },
+
+  // Every referral reward paid to the user, newest first, with who reached the milestone (first name
+  // only) and, for level 2 and 3, the level 1 referrer it came through
+  getPayoutsForUser: (userId) => {
+    return db.prepare(`
+      SELECT p.id, p.level, p.event, p.milestone, p.amount, p.created_at,
+        referred.name as referred_name, inviter.name as via_name
+      FROM referral_payouts p
+      JOIN referrals r ON p.referral_id = r.id
+      JOIN users referred ON r.referred_id = referred.id
+      JOIN users inviter ON r.referrer_id = inviter.id
+      WHERE p.beneficiary_id = ?
+      ORDER BY p.created_at DESC, p.id DESC
+    `).all(userId).map(({ referred_name, via_name, ...payout }) => ({
+      ...payout,
+      description: describeReferralEvent(payout.event, payout.milestone),
+      referred: String(referred_name || '').trim().split(/\s+/)[0] || 'User',
+      via: payout.level > 1 ? String(via_name || '').trim().split(/\s+/)[0] || 'User' : null
+    }));
   }
 };
 
+// Referral commission plans (validated by referral-plans.js)
+const referralPlanDb = {
+  // Plans with how many referrals use them and what they have paid
+  getAll: () => {
+    return db.prepare(`
+      SELECT p.*,
+        (SELECT COUNT(*) FROM referrals WHERE plan_id = p.id) as referral_count,
+        (SELECT COALESCE(SUM(amount), 0) FROM referral_payouts WHERE plan_id = p.id) as total_paid
+      FROM referral_plans p
+      ORDER BY p.active DESC, p.id ASC
+    `).all().map(plan => ({ ...plan, rewards: JSON.parse(plan.rewards) }));
+  },
+
+  getActive: () => {
+    const plan = db.prepare('SELECT * FROM referral_plans WHERE active = 1').get();
+    return plan ? { ...plan, rewards: JSON.parse(plan.rewards) } : null;
+  },
+
+  create: (plan, updatedBy) => {
+    return db.prepare('INSERT INTO referral_plans (name, levels, rewards, updated_by) VALUES (?, ?, ?, ?)')
+      .run(plan.name, plan.levels, JSON.stringify(plan.rewards), updatedBy || '');
+  },
+
+  // Changes the rewards still to come for referrals on the plan; rewards already paid stay as they were
+  update: (planId, plan, updatedBy) => {
+    const result = db.prepare(`
+      UPDATE referral_plans SET name = ?, levels = ?, rewards = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(plan.name, plan.levels, JSON.stringify(plan.rewards), updatedBy || '', planId);
+    if (result.changes === 0) {
+      throw new Error('Plan not found');
+    }
+    return result;
+  },
+
+  // New referrals get this plan; existing referrals keep theirs
+  activate: (planId, updatedBy) => db.transaction(() => {
+    if (!db.prepare('SELECT id FROM referral_plans WHERE id = ?').get(planId)) {
+      throw new Error('Plan not found');
+    }
+    db.prepare('UPDATE referral_plans SET active = 0 WHERE active = 1').run();
+    return db.prepare('UPDATE referral_plans SET active = 1, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(updatedBy || '', planId);
+  })()
+};
+
 // Withdrawal operations
 const withdrawalDb = {
-  create: (userId, amount, paymentMethod, paymentDetails) => {
+  // Create the request and reserve the funds in one write transaction (policy check, fee and hold).
+  // `amount` is what the user asked for; the fee comes out of it and the rest is held as the payout.
+  // The destination's details are copied onto the withdrawal so later edits don't change what gets paid.
+  create: (userId, amount, destinationId) => db.transaction(() => {
+    const destination = destinationDb.findForUser(destinationId, userId);
+    if (!destination) {
+      throw new Error('Payout destination not found');
+    }
+
+    if (destination.type === 'upi') {
+      checkUpiLock(userId, destination.vpa, true);
+    }
+
+    const paymentMethod = destination.type;
+    const quote = withdrawalPolicyDb.check(userId, paymentMethod, requirePaise(amount));
+
     const stmt = db.prepare(`
-      INSERT INTO withdrawals (user_id, amount, payment_method, payment_details, status, request_date)
-      VALUES (?, ?, ?, ?, 'pending', datetime('now'))
+      INSERT INTO withdrawals (user_id, amount, fee_amount, payment_method, payment_details, destination_id, status, request_date)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending', datetime('now'))
     `);
-    return stmt.run(userId, amount, paymentMethod, paymentDetails);
-  },
+    const result = stmt.run(userId, quote.net, quote.fee, paymentMethod, toPaymentDetails(destination), destination.id);
+    const withdrawalId = result.lastInsertRowid;
+
+    const hold = ledgerDb.hold(userId, quote.net, `Withdrawal request #${withdrawalId} (on hold)`);
+    db.prepare('UPDATE withdrawals SET hold_transaction_id = ? WHERE id = ?').run(hold.transactionId, withdrawalId);
+
+    if (quote.fee > 0) {
+      const fee = ledgerDb.post(userId, -quote.fee, 'withdrawal_fee', `Withdrawal request #${withdrawalId} fee`);
+      db.prepare('UPDATE withdrawals SET fee_transaction_id = ? WHERE id = ?').run(fee.transactionId, withdrawalId);
+    }
+
+    return { ...result, ...quote };
+  }).immediate(),
 
   getByUserId: (userId) => {
     return db.prepare(`
@@ -762,73 +3134,586 @@ const withdrawalDb = {
     `).all();
   },
 
-  approve: (withdrawalId, adminNotes) => {
-    const withdrawal = db.prepare('SELECT * FROM withdrawals WHERE id = ?').get(withdrawalId);
+  approve: (withdrawalId, adminNotes) => db.transaction(() => {
+    const withdrawal = transitionWithdrawal(withdrawalId, 'approved', { admin_notes: adminNotes || 'Approved by admin' });
+    db.prepare('UPDATE withdrawals SET process_date = CURRENT_TIMESTAMP WHERE id = ?').run(withdrawalId);
+
+    // Every pending request has its funds on hold (older requests get one in holdUnheldRequests)
+    if (!withdrawal.hold_transaction_id) {
+      throw new Error(`Withdrawal request #${withdrawalId} has no funds on hold`);
+    }
+    ledgerDb.settle(withdrawal.hold_transaction_id, withdrawal.user_id, withdrawal.amount);
+
+    // Lock UPI after the first successful UPI withdrawal, to the VPA it was paid to (payment_details is
+    // the destination's VPA copied at request time). Bank payouts don't lock anything: the account was
+    // validated when saved and the UPI lock only governs UPI payouts.
+    if (withdrawal.payment_method === 'upi') {
+      const user = db.prepare('SELECT upi_locked FROM users WHERE id = ?').get(withdrawal.user_id);
+      if (user && !user.upi_locked) {
+        userDb.lockUpi(withdrawal.user_id, withdrawal.payment_details);
+      }
+    }
+
+    // Referral reward for the user's first approved withdrawal
+    const approvedCount = db.prepare('SELECT COUNT(*) as count FROM withdrawals WHERE user_id = ? AND approved_at IS NOT NULL').get(withdrawal.user_id).count;
+    if (approvedCount === 1) {
+      referralDb.payRewards(withdrawal.user_id, reward => reward.event === 'first_withdrawal');
+    }
+
+    return { success: true };
+  })(),
+
+  reject: (withdrawalId, adminNotes) => db.transaction(() => {
+    const withdrawal = transitionWithdrawal(withdrawalId, 'rejected', { admin_notes: adminNotes || 'Rejected by admin' });
+    db.prepare('UPDATE withdrawals SET process_date = CURRENT_TIMESTAMP WHERE id = ?').run(withdrawalId);
+
+    if (withdrawal.hold_transaction_id) {
+      ledgerDb.release(withdrawal.user_id, withdrawal.amount, `Withdrawal request #${withdrawalId} rejected (funds released)`);
+    }
+
+    refundWithdrawalFee(withdrawal);
+
+    return { success: true };
+  })(),
+
+  // Payment handed to the bank / payment provider
+  markProcessing: (withdrawalId) => {
+    transitionWithdrawal(withdrawalId, 'processing');
+    return { success: true };
+  },
+
+  markPaid: (withdrawalId, payoutReference, remarks) => {
+    if (!payoutReference) {
+      throw new Error('Payout reference required');
+    }
+
+    transitionWithdrawal(withdrawalId, 'paid', { payout_reference: payoutReference, payout_remarks: remarks || '' });
+    return { success: true };
+  },
+
+  // Payout didn't reach the user: put the amount back in their wallet with a reversal transaction
+  markFailed: (withdrawalId, payoutReference, remarks) => db.transaction(() => {
+    const withdrawal = transitionWithdrawal(withdrawalId, 'failed', {
+      payout_reference: payoutReference || '',
+      payout_remarks: remarks || ''
+    });
+
+    const reversal = ledgerDb.post(
+      withdrawal.user_id,
+      withdrawal.amount,
+      'withdrawal_reversal',
+      `Withdrawal request #${withdrawalId} failed (amount refunded)`
+    );
+    db.prepare('UPDATE withdrawals SET reversal_transaction_id = ? WHERE id = ?').run(reversal.transactionId, withdrawalId);
+
+    refundWithdrawalFee(withdrawal);
+
+    return { success: true };
+  })(),
+
+  // Refund failed payouts recorded before failures were reversed automatically
+  refundUnreversedFailures: () => {
+    const failed = db.prepare(`SELECT id, user_id, amount FROM withdrawals WHERE status = 'failed' AND reversal_transaction_id IS NULL`).all();
+
+    for (const withdrawal of failed) {
+      db.transaction(() => {
+        const reversal = ledgerDb.post(
+          withdrawal.user_id,
+          withdrawal.amount,
+          'withdrawal_reversal',
+          `Withdrawal request #${withdrawal.id} failed (amount refunded)`
+        );
+        db.prepare('UPDATE withdrawals SET reversal_transaction_id = ? WHERE id = ?').run(reversal.transactionId, withdrawal.id);
+      })();
+    }
+
+    return failed.length;
+  },
+
+  // Hold the funds of pending requests made before funds were held at request time, oldest first.
+  // A request the balance no longer covers (it was spent or withdrawn again meanwhile) is rejected.
+  // Approved requests made then were debited when they were approved, so they need no hold.
+  holdUnheldRequests: () => {
+    const unheld = db.prepare(`
+      SELECT id, user_id, amount FROM withdrawals
+      WHERE status = 'pending' AND hold_transaction_id IS NULL
+      ORDER BY request_date ASC, id ASC
+    `).all();
+    let rejected = 0;
+
+    for (const withdrawal of unheld) {
+      db.transaction(() => {
+        const { balance } = db.prepare('SELECT balance FROM users WHERE id = ?').get(withdrawal.user_id);
+        if (withdrawal.amount > balance) {
+          transitionWithdrawal(withdrawal.id, 'rejected', { admin_notes: 'Rejected: the balance no longer covers this request' });
+          db.prepare('UPDATE withdrawals SET process_date = CURRENT_TIMESTAMP WHERE id = ?').run(withdrawal.id);
+          rejected++;
+          return;
+        }
+
+        const hold = ledgerDb.hold(withdrawal.user_id, withdrawal.amount, `Withdrawal request #${withdrawal.id} (on hold)`);
+        db.prepare('UPDATE withdrawals SET hold_transaction_id = ? WHERE id = ?').run(hold.transactionId, withdrawal.id);
+      })();
+    }
+
+    return { held: unheld.length - rejected, rejected };
+  },
+
+  getPendingTotalByUser: (userId) => {
+    const result = db.prepare(`
+      SELECT COALESCE(SUM(amount), 0) as total 
+      FROM withdrawals 
+      WHERE user_id = ? AND status = 'pending'
+    `).get(userId);
+    return result.total;
+  }
+};
+
+// Balance adjustment proposal operations (maker-checker)
+const proposalDb = {
+  // kind: 'adjustment' (one user) or 'bulk_bonus' (the users listed at proposal time)
+  create: (kind, userIds, amount, reason, proposedBy) => db.transaction(() => {
+    requirePaise(amount);
+
+    if (userIds.length === 0) {
+      throw new Error('No users affected');
+    }
+
+    const result = db.prepare(`
+      INSERT INTO balance_proposals (kind, amount, reason, proposed_by) 
+      VALUES (?, ?, ?, ?)
+    `).run(kind, amount, reason, proposedBy);
+
+    const userStmt = db.prepare('INSERT INTO balance_proposal_users (proposal_id, user_id) VALUES (?, ?)');
+    for (const userId of userIds) {
+      userStmt.run(result.lastInsertRowid, userId);
+    }
+
+    return result;
+  })(),
+
+  getAll: () => {
+    return db.prepare(`
+      SELECT p.*, COUNT(pu.id) as user_count,
+        CASE WHEN p.kind = 'adjustment' THEN MAX(u.name) ELSE NULL END as user_name,
+        CASE WHEN p.kind = 'adjustment' THEN MAX(u.username) ELSE NULL END as username
+      FROM balance_proposals p
+      LEFT JOIN balance_proposal_users pu ON pu.proposal_id = p.id
+      LEFT JOIN users u ON u.id = pu.user_id
+      GROUP BY p.id
+      ORDER BY CASE WHEN p.status = 'pending' THEN 0 ELSE 1 END, p.created_at DESC
+    `).all();
+  },
+
+  getUsers: (proposalId) => {
+    return db.prepare(`
+      SELECT pu.*, u.username, u.name 
+      FROM balance_proposal_users pu
+      LEFT JOIN users u ON u.id = pu.user_id
+      WHERE pu.proposal_id = ?
+      ORDER BY pu.user_id ASC
+    `).all(proposalId);
+  },
+
+  // A different admin applies the proposal to the ledger
+  approve: (proposalId, approvedBy) => db.transaction(() => {
+    const proposal = db.prepare('SELECT * FROM balance_proposals WHERE id = ?').get(proposalId);
+
+    if (!proposal) {
+      throw new Error('Proposal not found');
+    }
+
+    if (proposal.status !== 'pending') {
+      throw new Error(`Proposal already ${proposal.status}`);
+    }
 
-    if (!withdrawal) {
-      throw new Error('Withdrawal request not found');
+    if (proposal.proposed_by === approvedBy) {
+      throw new Error('A proposal must be approved by a different admin');
     }
 
-    if (withdrawal.status !== 'pending') {
-      throw new Error('Withdrawal already processed');
+    const type = proposal.amount > 0 ? 'admin_credit' : 'admin_debit';
+    const users = db.prepare(`
+      SELECT pu.id, pu.user_id 
+      FROM balance_proposal_users pu
+      JOIN users u ON u.id = pu.user_id
+      WHERE pu.proposal_id = ?
+    `).all(proposalId);
+    const linkStmt = db.prepare('UPDATE balance_proposal_users SET transaction_id = ? WHERE id = ?');
+
+    for (const user of users) {
+      const posted = ledgerDb.post(user.user_id, proposal.amount, type, `${proposal.reason} (proposal #${proposalId})`);
+      linkStmt.run(posted.transactionId, user.id);
     }
 
-    const updateStmt = db.prepare(`
-      UPDATE withdrawals 
-      SET status = 'approved', process_date = CURRENT_TIMESTAMP, admin_notes = ? 
+    db.prepare(`
+      UPDATE balance_proposals 
+      SET status = 'approved', reviewed_by = ?, decided_at = CURRENT_TIMESTAMP 
       WHERE id = ? AND status = 'pending'
-    `);
-    const result = updateStmt.run(adminNotes || 'Approved by admin', withdrawalId);
+    `).run(approvedBy, proposalId);
+
+    return { affectedUsers: users.length };
+  })(),
+
+  reject: (proposalId, rejectedBy, note) => {
+    const result = db.prepare(`
+      UPDATE balance_proposals 
+      SET status = 'rejected', reviewed_by = ?, decision_note = ?, decided_at = CURRENT_TIMESTAMP 
+      WHERE id = ? AND status = 'pending'
+    `).run(rejectedBy, note || '', proposalId);
+
+    if (result.changes === 0) {
+      throw new Error('Proposal not found or already decided');
+    }
+
+    return result;
+  }
+};
+
+// Payout destination operations (saved UPI IDs and bank accounts, validated by payout-destination.js)
+const destinationDb = {
+  create: (userId, destination) => {
+    if (destination.type === 'upi') {
+      checkUpiLock(userId, destination.vpa);
+    }
+
+    const existing = db.prepare(`
+      SELECT id FROM payout_destinations 
+      WHERE user_id = ? AND type = ? AND vpa = ? AND account_number = ? AND ifsc = ? AND removed_at IS NULL
+    `).get(userId, destination.type, destination.vpa, destination.account_number, destination.ifsc);
+    if (existing) {
+      throw new Error('This payout destination is already saved');
+    }
+
+    return db.prepare(`
+      INSERT INTO payout_destinations (user_id, type, vpa, account_holder, account_number, ifsc, bank_name) 
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      userId,
+      destination.type,
+      destination.vpa,
+      destination.account_holder,
+      destination.account_number,
+      destination.ifsc,
+      destination.bank_name
+    );
+  },
+
+  getByUserId: (userId) => {
+    return db.prepare(`
+      SELECT * FROM payout_destinations 
+      WHERE user_id = ? AND removed_at IS NULL 
+      ORDER BY created_at DESC, id DESC
+    `).all(userId);
+  },
+
+  findForUser: (destinationId, userId) => {
+    return db.prepare('SELECT * FROM payout_destinations WHERE id = ? AND user_id = ? AND removed_at IS NULL')
+      .get(destinationId, userId);
+  },
+
+  // Soft delete - past withdrawals keep pointing at the row
+  remove: (destinationId, userId) => {
+    const result = db.prepare(`
+      UPDATE payout_destinations SET removed_at = CURRENT_TIMESTAMP 
+      WHERE id = ? AND user_id = ? AND removed_at IS NULL
+    `).run(destinationId, userId);
 
     if (result.changes === 0) {
-      throw new Error('Failed to approve withdrawal');
+      throw new Error('Payout destination not found');
     }
 
-    userDb.updateBalance(withdrawal.user_id, -withdrawal.amount, 'withdrawal', 'Withdrawal approved');
+    return result;
+  }
+};
+
+// UPI change request operations (users with a locked UPI ask admins to move it)
+const upiChangeDb = {
+  create: (userId, newUpi, reason) => {
+    const user = db.prepare('SELECT upi_locked, registered_upi FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!user.upi_locked) {
+      throw new Error('Your UPI is not locked - add the new UPI ID from your wallet');
+    }
+    if (user.registered_upi.toLowerCase() === newUpi) {
+      throw new Error('New UPI is the same as your registered UPI');
+    }
 
-    // Lock UPI after first successful withdrawal
-    const user = db.prepare('SELECT upi_locked FROM users WHERE id = ?').get(withdrawal.user_id);
-    if (user && !user.upi_locked) {
-      userDb.lockUpi(withdrawal.user_id, withdrawal.payment_details);
+    const pending = db.prepare(`SELECT id FROM upi_change_requests WHERE user_id = ? AND status = 'pending'`).get(userId);
+    if (pending) {
+      throw new Error('You already have a UPI change request under review');
     }
 
-    return { success: true };
+    return db.prepare(`
+      INSERT INTO upi_change_requests (user_id, old_upi, new_upi, reason) 
+      VALUES (?, ?, ?, ?)
+    `).run(userId, user.registered_upi, newUpi, reason);
+  },
+
+  getByUserId: (userId) => {
+    return db.prepare('SELECT * FROM upi_change_requests WHERE user_id = ? ORDER BY created_at DESC, id DESC').all(userId);
+  },
+
+  getAll: () => {
+    return db.prepare(`
+      SELECT r.*, u.username, u.name, u.email, u.phone, u.registered_upi as current_upi 
+      FROM upi_change_requests r
+      JOIN users u ON r.user_id = u.id
+      ORDER BY CASE WHEN r.status = 'pending' THEN 0 ELSE 1 END, r.created_at DESC
+    `).all();
   },
 
-  reject: (withdrawalId, adminNotes) => {
-    const withdrawal = db.prepare('SELECT * FROM withdrawals WHERE id = ?').get(withdrawalId);
+  // Moves the lock to the new UPI and swaps the saved UPI destination.
+  // Withdrawals to the new UPI wait `coolingOffHours` after approval.
+  approve: (requestId, reviewedBy, adminNotes, coolingOffHours) => db.transaction(() => {
+    const request = db.prepare('SELECT * FROM upi_change_requests WHERE id = ?').get(requestId);
 
-    if (!withdrawal) {
-      throw new Error('Withdrawal request not found');
+    if (!request) {
+      throw new Error('Request not found');
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`Request already ${request.status}`);
     }
 
-    if (withdrawal.status !== 'pending') {
-      throw new Error('Can only reject pending withdrawals');
+    const coolingOff = db.prepare(`SELECT datetime('now', '+' || ? || ' hours') as until`).get(coolingOffHours || 0);
+    const coolingOffUntil = coolingOffHours > 0 ? coolingOff.until : null;
+
+    db.prepare(`
+      UPDATE upi_change_requests 
+      SET status = 'approved', reviewed_by = ?, admin_notes = ?, cooling_off_until = ?, decided_at = CURRENT_TIMESTAMP 
+      WHERE id = ? AND status = 'pending'
+    `).run(reviewedBy, adminNotes || '', coolingOffUntil, requestId);
+
+    db.prepare('UPDATE users SET registered_upi = ?, upi = ?, upi_cooling_off_until = ? WHERE id = ?')
+      .run(request.new_upi, request.new_upi, coolingOffUntil, request.user_id);
+
+    db.prepare(`
+      UPDATE payout_destinations SET removed_at = CURRENT_TIMESTAMP 
+      WHERE user_id = ? AND type = 'upi' AND vpa != ? AND removed_at IS NULL
+    `).run(request.user_id, request.new_upi);
+
+    const existing = db.prepare(`
+      SELECT id FROM payout_destinations WHERE user_id = ? AND type = 'upi' AND vpa = ? AND removed_at IS NULL
+    `).get(request.user_id, request.new_upi);
+    if (!existing) {
+      db.prepare(`INSERT INTO payout_destinations (user_id, type, vpa) VALUES (?, 'upi', ?)`).run(request.user_id, request.new_upi);
     }
 
+    return { coolingOffUntil };
+  })(),
+
+  reject: (requestId, reviewedBy, adminNotes) => {
     const result = db.prepare(`
-      UPDATE withdrawals 
-      SET status = 'rejected', process_date = CURRENT_TIMESTAMP, admin_notes = ? 
+      UPDATE upi_change_requests 
+      SET status = 'rejected', reviewed_by = ?, admin_notes = ?, decided_at = CURRENT_TIMESTAMP 
       WHERE id = ? AND status = 'pending'
-    `).run(adminNotes || 'Rejected by admin', withdrawalId);
+    `).run(reviewedBy, adminNotes || '', requestId);
 
     if (result.changes === 0) {
-      throw new Error('Failed to reject withdrawal');
+      throw new Error('Request not found or already decided');
     }
 
     return result;
+  }
+};
+
+// Withdrawal policy operations (limits, fees and cooldowns per payment method)
+const withdrawalPolicyDb = {
+  getAll: () => {
+    return db.prepare('SELECT * FROM withdrawal_policies ORDER BY payment_method ASC').all();
   },
 
-  getPendingTotalByUser: (userId) => {
+  get: (paymentMethod) => {
+    return db.prepare('SELECT * FROM withdrawal_policies WHERE payment_method = ?').get(paymentMethod);
+  },
+
+  update: (paymentMethod, policy, updatedBy) => {
+    const feeType = policy.fee_type || 'none';
+    if (!['none', 'flat', 'percent'].includes(feeType)) {
+      throw new Error('Fee type must be none, flat or percent');
+    }
+    if (feeType === 'percent' && (policy.fee_value < 0 || policy.fee_value >= 10000)) {
+      throw new Error('Percentage fee must be below 100%');
+    }
+    if (policy.max_amount !== null && policy.max_amount < policy.min_amount) {
+      throw new Error('Maximum cannot be below minimum');
+    }
+
     const result = db.prepare(`
-      SELECT COALESCE(SUM(amount), 0) as total 
+      UPDATE withdrawal_policies 
+      SET min_amount = ?, max_amount = ?, daily_count = ?, daily_amount = ?, fee_type = ?, fee_value = ?, 
+        signup_cooldown_hours = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP 
+      WHERE payment_method = ?
+    `).run(
+      policy.min_amount,
+      policy.max_amount,
+      policy.daily_count,
+      policy.daily_amount,
+      feeType,
+      feeType === 'none' ? 0 : policy.fee_value,
+      policy.signup_cooldown_hours || 0,
+      updatedBy || '',
+      paymentMethod
+    );
+
+    if (result.changes === 0) {
+      throw new Error('Unknown payment method');
+    }
+
+    return result;
+  },
+
+  // Fee for a requested amount; percent fees are stored in basis points (150 = 1.5%)
+  calculateFee: (policy, amount) => {
+    if (policy.fee_type === 'flat') return policy.fee_value;
+    if (policy.fee_type === 'percent') return Math.round(amount * policy.fee_value / 10000);
+    return 0;
+  },
+
+  quote: (paymentMethod, amount) => {
+    const policy = withdrawalPolicyDb.get(paymentMethod);
+    if (!policy) {
+      throw new Error('Unsupported payment method');
+    }
+
+    const fee = withdrawalPolicyDb.calculateFee(policy, amount);
+    return { amount, fee, net: amount - fee, policy };
+  },
+
+  // Enforce the policy for a new request and return the fee/net split (throws with a user-facing message)
+  check: (userId, paymentMethod, amount) => {
+    const quote = withdrawalPolicyDb.quote(paymentMethod, amount);
+    const { policy } = quote;
+
+    if (amount < policy.min_amount) {
+      throw new Error(`Minimum withdrawal amount is ${formatRupees(policy.min_amount)}`);
+    }
+    if (policy.max_amount !== null && amount > policy.max_amount) {
+      throw new Error(`Maximum withdrawal amount is ${formatRupees(policy.max_amount)}`);
+    }
+    if (quote.net <= 0) {
+      throw new Error('Amount must be more than the withdrawal fee');
+    }
+
+    const user = db.prepare('SELECT balance, created_at FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (policy.signup_cooldown_hours > 0) {
+      const ready = db.prepare(`SELECT datetime(?, '+' || ? || ' hours') <= CURRENT_TIMESTAMP as ok`)
+        .get(user.created_at, policy.signup_cooldown_hours);
+      if (!ready.ok) {
+        throw new Error(`Withdrawals are available ${policy.signup_cooldown_hours} hours after signup`);
+      }
+    }
+
+    const today = db.prepare(`
+      SELECT COUNT(*) as count, COALESCE(SUM(amount + fee_amount), 0) as total 
       FROM withdrawals 
-      WHERE user_id = ? AND status = 'pending'
-    `).get(userId);
-    return result.total;
+      WHERE user_id = ? AND payment_method = ? AND status != 'rejected' AND DATE(request_date) = DATE('now')
+    `).get(userId, paymentMethod);
+
+    if (policy.daily_count !== null && today.count >= policy.daily_count) {
+      throw new Error(`You can make ${policy.daily_count} withdrawal request(s) per day`);
+    }
+    if (policy.daily_amount !== null && today.total + amount > policy.daily_amount) {
+      throw new Error(`Daily withdrawal limit is ${formatRupees(policy.daily_amount)}`);
+    }
+
+    if (amount > user.balance) {
+      throw new Error('Insufficient available balance');
+    }
+
+    return quote;
   }
 };
 
+// Payout batch operations
+const payoutDb = {
+  // Put approved withdrawals that aren't in a batch yet into a new batch and mark them processing
+  createBatch: (withdrawalIds) => db.transaction(() => {
+    let withdrawals = db.prepare(`
+      SELECT w.*, u.username, u.name, u.email 
+      FROM withdrawals w
+      JOIN users u ON w.user_id = u.id
+      WHERE w.status = 'approved' AND w.payout_batch_id IS NULL
+      ORDER BY w.process_date ASC
+    `).all();
+
+    if (Array.isArray(withdrawalIds) && withdrawalIds.length > 0) {
+      const wanted = withdrawalIds.map(id => parseInt(id, 10));
+      withdrawals = withdrawals.filter(w => wanted.includes(w.id));
+    }
+
+    if (withdrawals.length === 0) {
+      throw new Error('No approved withdrawals waiting for payout');
+    }
+
+    const total = withdrawals.reduce((sum, w) => sum + w.amount, 0);
+    const batch = db.prepare('INSERT INTO payout_batches (withdrawal_count, total_amount) VALUES (?, ?)')
+      .run(withdrawals.length, total);
+
+    const updateStmt = db.prepare('UPDATE withdrawals SET payout_batch_id = ? WHERE id = ?');
+    for (const w of withdrawals) {
+      withdrawalDb.markProcessing(w.id);
+      updateStmt.run(batch.lastInsertRowid, w.id);
+    }
+
+    return { batchId: batch.lastInsertRowid, withdrawals };
+  })(),
+
+  getBatches: () => {
+    return db.prepare('SELECT * FROM payout_batches ORDER BY created_at DESC').all();
+  },
+
+  getBatchWithdrawals: (batchId) => {
+    return db.prepare(`
+      SELECT w.*, u.username, u.name, u.email 
+      FROM withdrawals w
+      JOIN users u ON w.user_id = u.id
+      WHERE w.payout_batch_id = ?
+      ORDER BY w.id ASC
+    `).all(batchId);
+  },
+
+  // Mark withdrawals paid/failed from parsed bank response rows.
+  // Rows already applied with the same outcome are skipped, so importing a file twice is harmless.
+  applySettlement: (rows) => db.transaction(() => {
+    const summary = { paid: 0, failed: 0, skipped: 0, errors: [] };
+
+    for (const row of rows) {
+      const withdrawal = db.prepare('SELECT * FROM withdrawals WHERE id = ?').get(row.withdrawalId);
+
+      if (!withdrawal) {
+        summary.errors.push({ line: row.line, withdrawalId: row.withdrawalId, message: 'Withdrawal not found' });
+        continue;
+      }
+
+      if (withdrawal.status === row.outcome && withdrawal.payout_reference === row.bankReference) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (withdrawal.status !== 'processing') {
+        summary.errors.push({ line: row.line, withdrawalId: row.withdrawalId, message: `Withdrawal is ${withdrawal.status}, not processing` });
+        continue;
+      }
+
+      if (row.outcome === 'paid') {
+        withdrawalDb.markPaid(row.withdrawalId, row.bankReference, row.remarks);
+      } else {
+        withdrawalDb.markFailed(row.withdrawalId, row.bankReference, row.remarks);
+      }
+
+      summary[row.outcome]++;
+    }
+
+    return summary;
+  })()
+};
+
 // PWA install tracking operations
 const pwaInstallDb = {
   track: (userId, userAgent) => {
@@ -870,11 +3755,23 @@ module.exports = {
   userDb,
   taskDb,
   pendingTaskDb,
+  taskSessionDb,
   checkinDb,
   transactionDb,
   referralDb,
+  referralPlanDb,
   withdrawalDb,
   taskLikeDb,
   pwaInstallDb,
+  ledgerDb,
+  payoutDb,
+  proposalDb,
+  withdrawalPolicyDb,
+  destinationDb,
+  upiChangeDb,
+  autoReviewRuleDb,
+  advertiserDb,
+  taskAnalyticsDb,
+  taskFeedbackDb,
   db
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+// Mock advertiser for testing postbacks locally: signs a conversion the way a partner would and sends it.
+//
+//   node mock-advertiser.js --partner 1 --secret <hex> --user 5 --task 3 [--txn abc123] [--replay]
+//     [--url http://localhost:5000] [--bad-signature] [--age <seconds>]
+//
+// --replay sends the same postback twice (the second should be refused with 409).
+
+const { signPostback } = require('./postback');
+
+function readArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function sendPostback(baseUrl, params) {
+  const response = await fetch(`${baseUrl}/api/postback?${new URLSearchParams(params)}`);
+  const body = await response.text();
+  console.log(`${response.status} ${body}`);
+}
+
+async function main() {
+  const args = readArgs(process.argv.slice(2));
+  for (const required of ['partner', 'secret', 'user', 'task']) {
+    if (!args[required] || args[required] === true) {
+      console.error(`Missing --${required}`);
+      process.exit(1);
+    }
+  }
+
+  const params = {
+    partner: args.partner,
+    user_id: args.user,
+    task_id: args.task,
+    txn_id: args.txn && args.txn !== true ? args.txn : `mock-${Date.now()}`,
+    ts: Math.floor(Date.now() / 1000) - (parseInt(args.age, 10) || 0)
+  };
+  params.sig = signPostback(params, args['bad-signature'] ? 'not-the-secret' : args.secret);
+
+  const baseUrl = args.url || `http://localhost:${process.env.PORT || 5000}`;
+  console.log(`Postback txn_id=${params.txn_id} -> ${baseUrl}`);
+  await sendPostback(baseUrl, params);
+  if (args.replay) {
+    await sendPostback(baseUrl, params);
+  }
+}
+
+main().catch(error => {
+  console.error('Mock advertiser failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+// Money helpers - all amounts are stored and calculated as integer paise (₹1 = 100 paise).
+// Rupee values only exist at the edges: parsing client input and formatting API responses.
+
+const PAISE_PER_RUPEE = 100;
+
+// Largest amount we accept from a single input (₹1 crore), keeps sums far below Number.MAX_SAFE_INTEGER
+const MAX_PAISE = 1000000000;
+
+function isPaise(value) {
+  return Number.isSafeInteger(value);
+}
+
+// Parse a rupee amount from client input ("12.5", 12.5, "₹1,200") into integer paise.
+// Throws on anything that isn't a plain amount with at most 2 decimal places.
+function parseRupees(input, options = {}) {
+  const { allowNegative = false, allowZero = false, min, max = MAX_PAISE } = options;
+
+  if (input === null || input === undefined || input === '') {
+    throw new Error('Amount is required');
+  }
+
+  const text = String(input).trim().replace(/^₹/, '').replace(/,/g, '');
+  if (!/^-?\d+(\.\d{1,2})?$/.test(text)) {
+    throw new Error('Invalid amount');
+  }
+
+  const negative = text.startsWith('-');
+  const [whole, fraction = ''] = text.replace('-', '').split('.');
+  const paise = parseInt(whole, 10) * PAISE_PER_RUPEE + parseInt(fraction.padEnd(2, '0'), 10);
+  const value = negative ? -paise : paise;
+
+  if (!isPaise(value) || Math.abs(value) > max) {
+    throw new Error(`Amount cannot exceed ${formatRupees(max)}`);
+  }
+  if (value < 0 && !allowNegative) {
+    throw new Error('Amount cannot be negative');
+  }
+  if (value === 0 && !allowZero) {
+    throw new Error('Amount cannot be zero');
+  }
+  if (min !== undefined && value < min) {
+    throw new Error(`Minimum amount is ${formatRupees(min)}`);
+  }
+
+  return value;
+}
+
+// Whole rupees (e.g. reward constants) to paise
+function rupees(amount) {
+  return Math.round(amount * PAISE_PER_RUPEE);
+}
+
+// Paise to a rupee number for API responses (backward compatible with the old REAL values)
+function toRupees(paise) {
+  if (paise === null || paise === undefined) return paise;
+  return paise / PAISE_PER_RUPEE;
+}
+
+// Paise to display text, e.g. 125050 -> "₹1250.50"
+function formatRupees(paise) {
+  const sign = paise < 0 ? '-' : '';
+  const abs = Math.abs(paise);
+  const whole = Math.floor(abs / PAISE_PER_RUPEE);
+  const fraction = String(abs % PAISE_PER_RUPEE).padStart(2, '0');
+  return `${sign}₹${whole}.${fraction}`;
+}
+
+// Plain "1250.50" text for files (CSV, statements)
+function toRupeeString(paise) {
+  return formatRupees(paise).replace('₹', '');
+}
+
+// Copy of a row (or rows) with the given paise fields converted to rupees
+function withRupees(rows, fields) {
+  const convert = row => {
+    if (!row) return row;
+    const copy = { ...row };
+    for (const field of fields) {
+      if (copy[field] !== undefined) {
+        copy[field] = toRupees(copy[field]);
+      }
+    }
+    return copy;
+  };
+
+  return Array.isArray(rows) ? rows.map(convert) : convert(rows);
+}
+
+module.exports = {
+  PAISE_PER_RUPEE,
+  isPaise,
+  parseRupees,
+  rupees,
+  toRupees,
+  formatRupees,
+  toRupeeString,
+  withRupees
+};
@@ -0,0 +1,127 @@
+// Payout destination helpers (UPI VPA / bank account validation and masked display)
+
+const BANK_CODES = require('./bank-codes.json');
+
+// handle@provider, e.g. ravi.kumar@okaxis
+const VPA_PATTERN = /^[a-z0-9][a-z0-9._-]{1,255}@[a-z][a-z0-9]{1,63}$/;
+
+// 4-letter bank code, a zero, then a 6-character branch code, e.g. SBIN0001234
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+// Indian bank account numbers are 9 to 18 digits
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+
+const ACCOUNT_HOLDER_PATTERN = /^[A-Za-z][A-Za-z .'-]{1,99}$/;
+
+function normalizeVpa(vpa) {
+  const value = String(vpa || '').trim().toLowerCase();
+  if (!VPA_PATTERN.test(value)) {
+    throw new Error('Invalid UPI ID (expected format: name@bank)');
+  }
+  return value;
+}
+
+// Returns { ifsc, bankName }; the bank code must be in the bundled table
+function normalizeIfsc(ifsc) {
+  const value = String(ifsc || '').trim().toUpperCase();
+  if (!IFSC_PATTERN.test(value)) {
+    throw new Error('Invalid IFSC code (expected format: ABCD0123456)');
+  }
+
+  const bankName = BANK_CODES[value.slice(0, 4)];
+  if (!bankName) {
+    throw new Error(`Unknown bank code "${value.slice(0, 4)}" in IFSC`);
+  }
+
+  return { ifsc: value, bankName };
+}
+
+function normalizeAccountNumber(accountNumber) {
+  const value = String(accountNumber || '').replace(/[\s-]/g, '');
+  if (!ACCOUNT_NUMBER_PATTERN.test(value)) {
+    throw new Error('Account number must be 9 to 18 digits');
+  }
+  return value;
+}
+
+function normalizeAccountHolder(name) {
+  const value = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!ACCOUNT_HOLDER_PATTERN.test(value)) {
+    throw new Error('Enter the account holder name as printed on the bank account');
+  }
+  return value;
+}
+
+// Validate client input into the stored destination shape (throws with a user-facing message)
+function validateDestination(input) {
+  const type = String(input.type || '').trim().toLowerCase();
+
+  if (type === 'upi') {
+    return { type, vpa: normalizeVpa(input.vpa), account_holder: '', account_number: '', ifsc: '', bank_name: '' };
+  }
+
+  if (type === 'bank') {
+    const { ifsc, bankName } = normalizeIfsc(input.ifsc);
+    return {
+      type,
+      vpa: '',
+      account_holder: normalizeAccountHolder(input.accountHolder),
+      account_number: normalizeAccountNumber(input.accountNumber),
+      ifsc,
+      bank_name: bankName
+    };
+  }
+
+  throw new Error('Destination type must be upi or bank');
+}
+
+// ra****@okaxis
+function maskVpa(vpa) {
+  const [handle = '', provider = ''] = String(vpa || '').split('@');
+  const visible = handle.slice(0, 2);
+  return `${visible}${'*'.repeat(Math.max(handle.length - visible.length, 2))}@${provider}`;
+}
+
+// XXXXXX1234
+function maskAccountNumber(accountNumber) {
+  const value = String(accountNumber || '');
+  return 'X'.repeat(Math.max(value.length - 4, 0)) + value.slice(-4);
+}
+
+// Short label for lists, e.g. "UPI ra****@okaxis" or "State Bank of India XXXXXX1234"
+function describeDestination(destination, masked = true) {
+  if (destination.type === 'bank') {
+    const accountNumber = masked ? maskAccountNumber(destination.account_number) : destination.account_number;
+    return `${destination.bank_name} ${accountNumber} (${destination.ifsc})`;
+  }
+  return `UPI ${masked ? maskVpa(destination.vpa) : destination.vpa}`;
+}
+
+// Text snapshot stored on the withdrawal, in the format payout files read:
+// UPI -> "vpa", bank -> "Name | Account Number | IFSC"
+function toPaymentDetails(destination) {
+  if (destination.type === 'bank') {
+    return `${destination.account_holder} | ${destination.account_number} | ${destination.ifsc}`;
+  }
+  return destination.vpa;
+}
+
+// Masked version of a withdrawal's payment_details snapshot, for showing to users
+function maskPaymentDetails(paymentMethod, paymentDetails) {
+  if (paymentMethod === 'bank') {
+    const [name = '', accountNumber = '', ifsc = ''] = String(paymentDetails || '').split('|').map(p => p.trim());
+    return `${name} | ${maskAccountNumber(accountNumber)} | ${ifsc}`;
+  }
+  return maskVpa(paymentDetails);
+}
+
+module.exports = {
+  normalizeVpa,
+  normalizeIfsc,
+  validateDestination,
+  maskVpa,
+  maskAccountNumber,
+  describeDestination,
+  toPaymentDetails,
+  maskPaymentDetails
+};
@@ -0,0 +1,122 @@
+// Bank bulk-payout file helpers (CSV export of approved withdrawals, settlement import)
+
+const { toRupeeString } = require('./money');
+const { escapeCsvValue, toCsvText, parseCsv } = require('./csv');
+
+const PAYOUT_FILE_HEADERS = [
+  'Payment Reference',
+  'Payment Mode',
+  'Beneficiary Name',
+  'UPI VPA',
+  'Account Number',
+  'IFSC',
+  'Amount',
+  'Remarks'
+];
+
+// Our reference for a withdrawal in bank files, e.g. WD000123
+function toPaymentReference(withdrawalId) {
+  return 'WD' + String(withdrawalId).padStart(6, '0');
+}
+
+function fromPaymentReference(reference) {
+  const match = /^WD(\d+)$/i.exec(String(reference || '').trim());
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Split withdrawal payment details into payout columns.
+// Bank details are stored by wallet.html as "Name | Account Number | IFSC".
+function getBeneficiary(withdrawal) {
+  if (withdrawal.payment_method === 'bank') {
+    const [name = '', accountNumber = '', ifsc = ''] = withdrawal.payment_details.split('|').map(p => p.trim());
+    return { mode: 'NEFT', name: name || withdrawal.name, vpa: '', accountNumber, ifsc: ifsc.toUpperCase() };
+  }
+
+  return { mode: 'UPI', name: withdrawal.name, vpa: withdrawal.payment_details.trim(), accountNumber: '', ifsc: '' };
+}
+
+function buildPayoutCsv(withdrawals) {
+  const lines = [PAYOUT_FILE_HEADERS.map(escapeCsvValue).join(',')];
+
+  for (const w of withdrawals) {
+    const beneficiary = getBeneficiary(w);
+    lines.push([
+      toPaymentReference(w.id),
+      beneficiary.mode,
+      toCsvText(beneficiary.name),
+      beneficiary.vpa,
+      beneficiary.accountNumber,
+      beneficiary.ifsc,
+      toRupeeString(w.amount),
+      `CashByKing withdrawal ${toPaymentReference(w.id)}`
+    ].map(escapeCsvValue).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+const SUCCESS_STATUSES = ['success', 'successful', 'paid', 'processed', 'completed'];
+const FAILED_STATUSES = ['failed', 'failure', 'rejected', 'returned', 'reversed'];
+
+function findColumn(headers, names) {
+  return headers.findIndex(h => names.includes(h.trim().toLowerCase()));
+}
+
+// Read a bank response file into { withdrawalId, outcome: 'paid'|'failed', bankReference, remarks } rows.
+// Rows that can't be understood are returned in `errors` instead of being guessed at.
+function parseSettlementCsv(text) {
+  const rows = parseCsv(String(text || ''));
+  if (rows.length === 0) {
+    throw new Error('Settlement file is empty');
+  }
+
+  const headers = rows[0];
+  const refCol = findColumn(headers, ['payment reference', 'customer reference', 'reference']);
+  const statusCol = findColumn(headers, ['status', 'payment status', 'transaction status']);
+  const bankRefCol = findColumn(headers, ['bank reference', 'utr', 'utr number', 'rrn', 'bank reference number']);
+  const remarksCol = findColumn(headers, ['remarks', 'reason', 'failure reason', 'description']);
+
+  if (refCol === -1 || statusCol === -1) {
+    throw new Error('Settlement file must have "Payment Reference" and "Status" columns');
+  }
+
+  const results = [];
+  const errors = [];
+
+  rows.slice(1).forEach((row, index) => {
+    const line = index + 2;
+    const withdrawalId = fromPaymentReference(row[refCol]);
+    const status = String(row[statusCol] || '').trim().toLowerCase();
+    const bankReference = bankRefCol === -1 ? '' : String(row[bankRefCol] || '').trim();
+    const remarks = remarksCol === -1 ? '' : String(row[remarksCol] || '').trim();
+
+    if (!withdrawalId) {
+      errors.push({ line, message: `Unknown payment reference "${row[refCol] || ''}"` });
+      return;
+    }
+
+    let outcome = null;
+    if (SUCCESS_STATUSES.includes(status)) outcome = 'paid';
+    else if (FAILED_STATUSES.includes(status)) outcome = 'failed';
+
+    if (!outcome) {
+      errors.push({ line, withdrawalId, message: `Unknown status "${row[statusCol] || ''}"` });
+      return;
+    }
+
+    if (outcome === 'paid' && !bankReference) {
+      errors.push({ line, withdrawalId, message: 'Paid row has no bank reference' });
+      return;
+    }
+
+    results.push({ line, withdrawalId, outcome, bankReference, remarks });
+  });
+
+  return { rows: results, errors };
+}
+
+module.exports = {
+  buildPayoutCsv,
+  parseSettlementCsv,
+  toPaymentReference
+};
@@ -0,0 +1,67 @@
+// Advertiser server-to-server postbacks (signing and verifying the HMAC query string)
+//
+// A partner calls GET /api/postback?partner=<id>&user_id=<our user>&task_id=<our task>&txn_id=<their id>&ts=<unix seconds>&sig=<hex>
+// where sig = HMAC-SHA256(partner secret, canonical string) and the canonical string is every other
+// parameter sorted by name as key=value joined with & (values URL-encoded with encodeURIComponent).
+
+const crypto = require('crypto');
+
+// Postbacks older (or further in the future) than this are refused, so captured URLs go stale
+const POSTBACK_MAX_AGE_SECONDS = 10 * 60;
+
+const TXN_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+function generatePartnerSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function canonicalPostbackString(params) {
+  return Object.keys(params)
+    .filter(key => key !== 'sig')
+    .sort()
+    .map(key => `${key}=${encodeURIComponent(String(params[key]))}`)
+    .join('&');
+}
+
+function signPostback(params, secret) {
+  return crypto.createHmac('sha256', secret).update(canonicalPostbackString(params)).digest('hex');
+}
+
+// Check the signature and freshness of a postback query and read its fields.
+// Returns { userId, taskId, txnId, timestamp }; throws with a reason the partner can log.
+function verifyPostback(query, secret, now = Date.now()) {
+  for (const [key, value] of Object.entries(query)) {
+    if (typeof value !== 'string') {
+      throw new Error(`Parameter "${key}" must appear once`);
+    }
+  }
+
+  const expected = Buffer.from(signPostback(query, secret), 'hex');
+  const given = Buffer.from(/^[a-f0-9]{64}$/i.test(query.sig || '') ? query.sig : '', 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error('Invalid signature');
+  }
+
+  const timestamp = Number(query.ts);
+  if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > POSTBACK_MAX_AGE_SECONDS) {
+    throw new Error('Postback timestamp is missing or too old');
+  }
+
+  const userId = Number(query.user_id);
+  const taskId = Number(query.task_id);
+  if (!Number.isInteger(userId) || userId < 1 || !Number.isInteger(taskId) || taskId < 1) {
+    throw new Error('user_id and task_id must be our numeric IDs');
+  }
+  if (!TXN_ID_PATTERN.test(query.txn_id || '')) {
+    throw new Error('txn_id is missing or invalid');
+  }
+
+  return { userId, taskId, txnId: query.txn_id, timestamp };
+}
+
+module.exports = {
+  POSTBACK_MAX_AGE_SECONDS,
+  generatePartnerSecret,
+  signPostback,
+  verifyPostback
+};
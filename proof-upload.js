@@ -0,0 +1,205 @@
+// Proof-of-completion helpers (what a task asks for, validating a submission, screenshot storage)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Kinds of proof a task can ask for
+const PROOF_TYPES = ['screenshot', 'text', 'url', 'username'];
+
+const MAX_SCREENSHOTS = 3;
+const MAX_SCREENSHOT_BYTES = 2 * 1024 * 1024;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_URL_LENGTH = 500;
+
+// Screenshots are written outside the static root so only the admin proof route can read them
+const PROOF_UPLOAD_DIR = path.resolve(process.env.PROOF_UPLOAD_DIR || path.join(__dirname, 'uploads', 'proofs'));
+
+// Image types are detected from the file's magic bytes, not from what the client claims
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: b => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', matches: b => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', extension: 'webp', matches: b => b.length > 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+// Stored names are random hex plus the detected extension, e.g. 3f9a...c1.png
+const PROOF_FILENAME_PATTERN = /^[a-f0-9]{32}\.(jpg|png|webp)$/;
+
+// Normalize an admin's proof type selection (array or comma list) into the stored comma list
+function normalizeProofTypes(input) {
+  const values = Array.isArray(input) ? input : String(input || '').split(',');
+  const types = [...new Set(values.map(v => String(v).trim().toLowerCase()).filter(Boolean))];
+
+  for (const type of types) {
+    if (!PROOF_TYPES.includes(type)) {
+      throw new Error(`Unknown proof type "${type}"`);
+    }
+  }
+
+  // Keep a stable order so the form always renders the same way
+  return PROOF_TYPES.filter(type => types.includes(type)).join(',');
+}
+
+function getProofTypes(task) {
+  return String(task.proof_types || '').split(',').filter(Boolean);
+}
+
+// "data:image/png;base64,...." -> Buffer (the declared type is ignored, see IMAGE_SIGNATURES)
+function decodeScreenshot(dataUrl, label) {
+  const match = /^data:[\w.+-]+\/[\w.+-]+;base64,([A-Za-z0-9+/=\s]+)$/.exec(String(dataUrl || ''));
+  if (!match) {
+    throw new Error(`${label} is not a valid image upload`);
+  }
+
+  const buffer = Buffer.from(match[1], 'base64');
+  if (buffer.length === 0) {
+    throw new Error(`${label} is empty`);
+  }
+  if (buffer.length > MAX_SCREENSHOT_BYTES) {
+    throw new Error(`${label} is larger than ${MAX_SCREENSHOT_BYTES / (1024 * 1024)} MB`);
+  }
+
+  const signature = IMAGE_SIGNATURES.find(s => s.matches(buffer));
+  if (!signature) {
+    throw new Error(`${label} must be a JPEG, PNG or WebP image`);
+  }
+
+  return { buffer, mimeType: signature.mimeType, extension: signature.extension };
+}
+
+function normalizeUrl(value) {
+  const text = String(value || '').trim();
+  let url;
+  try {
+    url = new URL(text);
+  } catch (e) {
+    throw new Error('Proof URL is not a valid link');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Proof URL must start with http:// or https://');
+  }
+  if (text.length > MAX_URL_LENGTH) {
+    throw new Error(`Proof URL cannot be longer than ${MAX_URL_LENGTH} characters`);
+  }
+  return url.toString();
+}
+
+function normalizeUsername(value) {
+  const text = String(value || '').trim();
+  if (!/^@?[A-Za-z0-9._-]{1,64}$/.test(text)) {
+    throw new Error('Enter the username you used for this task (letters, numbers, . _ -)');
+  }
+  return text;
+}
+
+// Check a submission's proof against what the task asks for.
+// input: { screenshots: [dataUrl], text, url, username }
+// Returns [{ kind, value, buffer?, mimeType?, extension? }]; anything the task didn't ask for is dropped.
+function validateProofs(task, input) {
+  const proof = input || {};
+  const entries = [];
+
+  for (const kind of getProofTypes(task)) {
+    if (kind === 'screenshot') {
+      const screenshots = Array.isArray(proof.screenshots) ? proof.screenshots : [];
+      if (screenshots.length === 0) {
+        throw new Error('Screenshot proof is required for this task');
+      }
+      if (screenshots.length > MAX_SCREENSHOTS) {
+        throw new Error(`You can upload at most ${MAX_SCREENSHOTS} screenshots`);
+      }
+      screenshots.forEach((dataUrl, index) => {
+        entries.push({ kind, value: '', ...decodeScreenshot(dataUrl, `Screenshot ${index + 1}`) });
+      });
+    } else if (kind === 'text') {
+      const text = String(proof.text || '').trim();
+      if (!text) {
+        throw new Error('A written answer is required for this task');
+      }
+      if (text.length > MAX_TEXT_LENGTH) {
+        throw new Error(`Answer cannot be longer than ${MAX_TEXT_LENGTH} characters`);
+      }
+      entries.push({ kind, value: text });
+    } else if (kind === 'url') {
+      entries.push({ kind, value: normalizeUrl(proof.url) });
+    } else if (kind === 'username') {
+      entries.push({ kind, value: normalizeUsername(proof.username) });
+    }
+  }
+
+  return entries;
+}
+
+// Screenshots for screenshot steps ({ stepIndex, dataUrl } from task-steps.js checkStepAnswers),
+// as entries for saveProofFiles
+function validateStepScreenshots(screenshots) {
+  return screenshots.map(({ stepIndex, dataUrl }) => ({
+    kind: 'screenshot',
+    value: '',
+    stepIndex,
+    ...decodeScreenshot(dataUrl, `Step ${stepIndex + 1} screenshot`)
+  }));
+}
+
+// Write screenshot buffers to disk; returns the entries with value = stored file name
+function saveProofFiles(entries) {
+  const saved = [];
+
+  try {
+    for (const entry of entries) {
+      if (!entry.buffer) {
+        saved.push(entry);
+        continue;
+      }
+
+      fs.mkdirSync(PROOF_UPLOAD_DIR, { recursive: true });
+      const filename = `${crypto.randomBytes(16).toString('hex')}.${entry.extension}`;
+      fs.writeFileSync(path.join(PROOF_UPLOAD_DIR, filename), entry.buffer, { flag: 'wx' });
+
+      saved.push({
+        kind: entry.kind,
+        value: filename,
+        stepIndex: entry.stepIndex,
+        mimeType: entry.mimeType,
+        fileSize: entry.buffer.length,
+        sha256: crypto.createHash('sha256').update(entry.buffer).digest('hex')
+      });
+    }
+  } catch (error) {
+    removeProofFiles(saved);
+    throw error;
+  }
+
+  return saved;
+}
+
+// Best-effort cleanup of stored screenshots (e.g. when the submission couldn't be recorded)
+function removeProofFiles(entries) {
+  for (const entry of entries) {
+    if (entry.kind !== 'screenshot' || !isProofFilename(entry.value)) continue;
+    try {
+      fs.unlinkSync(path.join(PROOF_UPLOAD_DIR, entry.value));
+    } catch (e) {} // Already gone
+  }
+}
+
+function isProofFilename(filename) {
+  return PROOF_FILENAME_PATTERN.test(String(filename || ''));
+}
+
+// Absolute path of a stored screenshot, or null if the name isn't one we generated
+function getProofFilePath(filename) {
+  return isProofFilename(filename) ? path.join(PROOF_UPLOAD_DIR, filename) : null;
+}
+
+module.exports = {
+  PROOF_TYPES,
+  MAX_SCREENSHOTS,
+  MAX_SCREENSHOT_BYTES,
+  normalizeProofTypes,
+  validateProofs,
+  validateStepScreenshots,
+  saveProofFiles,
+  removeProofFiles,
+  getProofFilePath
+};
@@ -0,0 +1,102 @@
+// Referral commission plans (validating an admin's plan, naming what a payout was for)
+//
+// referral_plans.rewards holds a JSON array of rewards, amounts in paise with one per referrer level:
+//   { event: 'signup', amounts }              the referred user signs up with the invite code
+//   { event: 'first_task', amounts }          their first task is approved
+//   { event: 'first_withdrawal', amounts }    their first withdrawal is approved
+//   { event: 'tasks', count, amounts }        their count-th task is approved
+// Level 1 is the user who invited them, level 2 that user's own referrer, level 3 the one above.
+
+const { parseRupees } = require('./money');
+
+const REFERRAL_EVENTS = ['signup', 'first_task', 'first_withdrawal', 'tasks'];
+
+const MAX_REFERRAL_LEVELS = 3;
+const MAX_TASK_MILESTONES = 5;
+const MAX_TASK_MILESTONE_COUNT = 1000;
+const MAX_PLAN_NAME_LENGTH = 80;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Validate an admin's plan into the stored shape. Amounts come in rupees; blank amounts are 0 and
+// rewards that pay nothing at any level are left out.
+// input: { name, levels (1-3), rewards: [{ event, count (tasks only), amounts: [level 1, level 2, level 3] }] }
+function normalizeReferralPlan(input) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new Error('Plan name is required');
+  }
+  if (name.length > MAX_PLAN_NAME_LENGTH) {
+    throw new Error(`Plan name cannot be longer than ${MAX_PLAN_NAME_LENGTH} characters`);
+  }
+
+  const levels = Number(input.levels);
+  if (!Number.isInteger(levels) || levels < 1 || levels > MAX_REFERRAL_LEVELS) {
+    throw new Error(`Levels must be from 1 to ${MAX_REFERRAL_LEVELS}`);
+  }
+
+  const seen = new Set();
+  const rewards = [];
+  for (const raw of Array.isArray(input.rewards) ? input.rewards : []) {
+    const event = String(raw.event || '').trim();
+    if (!REFERRAL_EVENTS.includes(event)) {
+      throw new Error(`Reward event must be one of ${REFERRAL_EVENTS.join(', ')}`);
+    }
+    const label = event === 'tasks' && isBlank(raw.count) ? 'Task milestone' : describeReferralEvent(event, raw.count);
+
+    const given = Array.isArray(raw.amounts) ? raw.amounts : [];
+    const amounts = [];
+    for (let level = 1; level <= levels; level++) {
+      const value = given[level - 1];
+      try {
+        amounts.push(isBlank(value) ? 0 : parseRupees(value, { allowZero: true }));
+      } catch (error) {
+        throw new Error(`${label}, level ${level}: ${error.message}`);
+      }
+    }
+
+    if (event === 'tasks' && isBlank(raw.count) && amounts.every(amount => amount === 0)) continue;
+
+    const reward = { event };
+    if (event === 'tasks') {
+      const count = Number(raw.count);
+      if (!Number.isInteger(count) || count < 2 || count > MAX_TASK_MILESTONE_COUNT) {
+        throw new Error(`Task milestones must be from 2 to ${MAX_TASK_MILESTONE_COUNT} tasks (use "First task" for 1)`);
+      }
+      reward.count = count;
+    }
+
+    const key = event === 'tasks' ? `tasks:${reward.count}` : event;
+    if (seen.has(key)) {
+      throw new Error(`${describeReferralEvent(event, reward.count)} is listed twice`);
+    }
+    seen.add(key);
+
+    if (amounts.every(amount => amount === 0)) continue;
+    reward.amounts = amounts;
+    rewards.push(reward);
+  }
+
+  if (rewards.filter(reward => reward.event === 'tasks').length > MAX_TASK_MILESTONES) {
+    throw new Error(`A plan can have at most ${MAX_TASK_MILESTONES} task milestones`);
+  }
+
+  return { name, levels, rewards };
+}
+
+// "Signup", "First task", "First withdrawal" or "10 tasks"
+function describeReferralEvent(event, count) {
+  if (event === 'signup') return 'Signup';
+  if (event === 'first_task') return 'First task';
+  if (event === 'first_withdrawal') return 'First withdrawal';
+  return `${count} tasks`;
+}
+
+module.exports = {
+  REFERRAL_EVENTS,
+  MAX_REFERRAL_LEVELS,
+  normalizeReferralPlan,
+  describeReferralEvent
+};
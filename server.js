@@ -5,15 +5,349 @@ const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
 const bcrypt = require('bcryptjs');
 const path = require('path');
-const { initializeDatabase, userDb, taskDb, pendingTaskDb, checkinDb, transactionDb, referralDb, withdrawalDb, taskLikeDb, pwaInstallDb } = require('./database');
+const { initializeDatabase, userDb, taskDb, pendingTaskDb, taskSessionDb, checkinDb, transactionDb, referralDb, withdrawalDb, taskLikeDb, pwaInstallDb, ledgerDb, payoutDb, proposalDb, withdrawalPolicyDb, destinationDb, upiChangeDb, autoReviewRuleDb, advertiserDb, taskAnalyticsDb, taskFeedbackDb, referralPlanDb } = require('./database');
+const { buildPayoutCsv, parseSettlementCsv } = require('./payout-file');
+const { buildStatementCsv, buildStatementPdf } = require('./statement');
+const { parseRupees, rupees, toRupees, formatRupees, withRupees } = require('./money');
+const { normalizeVpa, normalizeIfsc, validateDestination, maskVpa, maskAccountNumber, describeDestination, maskPaymentDetails } = require('./payout-destination');
+const { normalizeProofTypes, validateProofs, validateStepScreenshots, saveProofFiles, removeProofFiles, getProofFilePath } = require('./proof-upload');
+const { normalizeSteps, publicSteps, hasCheckedSteps, hasScreenshotSteps, checkStepAnswers } = require('./task-steps');
+const { normalizeReview, normalizeReport } = require('./task-feedback');
+const { normalizeRule } = require('./auto-review');
+const { generatePartnerSecret, verifyPostback } = require('./postback');
+const { normalizeReferralPlan } = require('./referral-plans');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Money amounts below are in paise (see money.js)
+const TELEGRAM_JOIN_REWARD = rupees(5);
+
+// Manual balance adjustments above this total need a second admin's approval (ADMIN_APPROVAL_THRESHOLD in rupees)
+const ADMIN_APPROVAL_THRESHOLD = parseRupees(process.env.ADMIN_APPROVAL_THRESHOLD || '100', { allowZero: true });
+
+// Hours after an approved UPI change before withdrawals can go to the new UPI (UPI_CHANGE_COOLING_OFF_HOURS)
+const UPI_CHANGE_COOLING_OFF_HOURS = Math.max(parseInt(process.env.UPI_CHANGE_COOLING_OFF_HOURS || '48', 10) || 0, 0);
+
+// Longest task catalogue search text
+const MAX_CATALOGUE_SEARCH_LENGTH = 100;
+
+// Named admin accounts, e.g. ADMIN_ACCOUNTS="ravi:pass1,neha:pass2"; admins sign in with name and password.
+// Once any are set the shared ADMIN_PASSWORD stops working, so every admin action (and each side of a
+// maker-checker approval) belongs to a named person. Without them the shared password signs in as "admin".
+const adminAccounts = (process.env.ADMIN_ACCOUNTS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    return { name: entry.slice(0, separator).trim(), password: entry.slice(separator + 1) };
+  })
+  .filter(account => account.name && account.password);
+
+if (adminAccounts.some(account => account.name.toLowerCase() === 'admin')) {
+  throw new Error('ADMIN_ACCOUNTS cannot have an account named "admin" (reserved for the shared ADMIN_PASSWORD)');
+}
+if (new Set(adminAccounts.map(account => account.name.toLowerCase())).size !== adminAccounts.length) {
+  throw new Error('ADMIN_ACCOUNTS has the same name twice');
+}
+if (new Set(adminAccounts.map(account => account.password)).size !== adminAccounts.length) {
+  throw new Error('ADMIN_ACCOUNTS accounts must each have their own password');
+}
+
+// Proposals need a second admin to approve them, so large adjustments only become proposals when at
+// least two named accounts exist; otherwise they apply straight away as before
+const MAKER_CHECKER_ENABLED = adminAccounts.length >= 2;
+
+// Basis points in a percent fee (1% = 100)
+const BASIS_POINTS_PER_PERCENT = 100;
+
+// Parse a percentage from client input ("1.5", 1.5, "1.5%") into integer basis points (0-10000)
+function parseBasisPoints(input) {
+  const text = String(input === null || input === undefined ? '' : input).trim().replace(/%$/, '').trim();
+  if (!/^\d+(\.\d{1,2})?$/.test(text)) {
+    throw new Error('Percentage must be a number with at most 2 decimal places');
+  }
+
+  const [whole, fraction = ''] = text.split('.');
+  const basisPoints = parseInt(whole, 10) * BASIS_POINTS_PER_PERCENT + parseInt(fraction.padEnd(2, '0'), 10);
+  if (basisPoints > 100 * BASIS_POINTS_PER_PERCENT) {
+    throw new Error('Percentage must be from 0 to 100');
+  }
+  return basisPoints;
+}
+
+// Withdrawal policy in API units: limits and flat fees in rupees, percent fees as a percentage (1.5 = 1.5%)
+function withdrawalPolicyForApi(policy) {
+  const converted = withRupees(policy, ['min_amount', 'max_amount', 'daily_amount']);
+  converted.fee_value = policy.fee_type === 'percent' ? policy.fee_value / BASIS_POINTS_PER_PERCENT : toRupees(policy.fee_value);
+  return converted;
+}
+
+// Referral plan in API units (reward amounts and total_paid in rupees)
+function referralPlanForApi(plan) {
+  const rewards = plan.rewards.map(reward => ({ ...reward, amounts: reward.amounts.map(toRupees) }));
+  return plan.total_paid === undefined ? { ...plan, rewards } : { ...plan, rewards, total_paid: toRupees(plan.total_paid) };
+}
+
+// Auto-review rule in API units (max_reward in rupees)
+function autoReviewRuleForApi(rule) {
+  const conditions = { ...rule.conditions };
+  if (conditions.max_reward !== undefined) conditions.max_reward = toRupees(conditions.max_reward);
+  return { ...rule, conditions };
+}
+
+// Transaction list filters from the query string: type (comma separated), from/to (YYYY-MM-DD),
+// minAmount/maxAmount (rupees, absolute), cursor and limit (max 200)
+function parseTransactionFilters(query) {
+  const filters = {
+    cursor: query.cursor || undefined,
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200),
+    types: query.type ? String(query.type).split(',').map(t => t.trim()).filter(Boolean) : []
+  };
+
+  for (const key of ['from', 'to']) {
+    if (query[key]) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+        throw new Error(`Invalid ${key} date (expected YYYY-MM-DD)`);
+      }
+      filters[key] = query[key];
+    }
+  }
+
+  if (query.minAmount) filters.minAmount = parseRupees(query.minAmount, { allowZero: true });
+  if (query.maxAmount) filters.maxAmount = parseRupees(query.maxAmount, { allowZero: true });
+
+  return filters;
+}
+
+// Task analytics range from the query string: from/to (YYYY-MM-DD, inclusive, UTC), default the last 30 days
+function parseAnalyticsRange(query) {
+  const day = 24 * 60 * 60 * 1000;
+  const toDate = date => date.toISOString().slice(0, 10);
+  const range = {
+    from: query.from || toDate(new Date(Date.now() - 29 * day)),
+    to: query.to || toDate(new Date())
+  };
+
+  for (const key of ['from', 'to']) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(range[key]) || isNaN(new Date(range[key]).getTime())) {
+      throw new Error(`Invalid ${key} date (expected YYYY-MM-DD)`);
+    }
+  }
+  if (range.from > range.to) {
+    throw new Error('From date must be on or before the to date');
+  }
+  if (new Date(range.to) - new Date(range.from) > 366 * day) {
+    throw new Error('Date range cannot be longer than a year');
+  }
+  return range;
+}
+
+// Moderation queue filters from the query string: ?taskId=&userId=&minAge=&maxAge= (hours) &claim=&limit=
+function parseModerationFilters(query) {
+  const id = (value, label) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`Invalid ${label}`);
+    }
+    return number;
+  };
+  const hours = (value, label) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`${label} must be a number of hours`);
+    }
+    return number;
+  };
+
+  const claim = query.claim || 'all';
+  if (!['all', 'unclaimed', 'mine'].includes(claim)) {
+    throw new Error('Claim filter must be all, unclaimed or mine');
+  }
+
+  return {
+    taskId: id(query.taskId, 'task ID'),
+    userId: id(query.userId, 'user ID'),
+    minAgeHours: hours(query.minAge, 'Minimum age'),
+    maxAgeHours: hours(query.maxAge, 'Maximum age'),
+    claim,
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200)
+  };
+}
+
+// Submission ids for a bulk moderation action
+function parsePendingIds(pendingIds) {
+  const ids = [...new Set((Array.isArray(pendingIds) ? pendingIds : [pendingIds]).map(Number))];
+  if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id < 1)) {
+    throw new Error('Select at least one submission');
+  }
+  if (ids.length > 200) {
+    throw new Error('At most 200 submissions can be reviewed at once');
+  }
+  return ids;
+}
+
+// Task timer fields from the admin form: { timer, time_limit } in whole seconds (0 = off)
+function parseTaskTiming(timer, timeLimit) {
+  const toSeconds = (value, label) => {
+    if (value === undefined || value === null || value === '') return 0;
+    const seconds = Number(value);
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      throw new Error(`${label} must be a whole number of seconds`);
+    }
+    return seconds;
+  };
+
+  const timing = { timer: toSeconds(timer, 'Minimum time'), time_limit: toSeconds(timeLimit, 'Time limit') };
+  if (timing.time_limit > 0 && timing.time_limit <= timing.timer) {
+    throw new Error('Time limit must be longer than the minimum time');
+  }
+  return timing;
+}
+
+// Resubmissions allowed after a rejection (default 1)
+function parseMaxResubmissions(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0 || count > 20) {
+    throw new Error('Resubmissions must be a whole number from 0 to 20');
+  }
+  return count;
+}
+
+// ISO date from the admin form -> SQLite's UTC datetime format, so it compares with datetime('now') (empty = null)
+function toSqliteDateTime(value, label) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${label}`);
+  }
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Task publishing window from the admin form: { publish_at, unpublish_at } (ISO dates, empty = no bound)
+function parseTaskSchedule(input) {
+  const schedule = {
+    publish_at: toSqliteDateTime(input.publish_at, 'publish date'),
+    unpublish_at: toSqliteDateTime(input.unpublish_at, 'unpublish date')
+  };
+  if (schedule.publish_at && schedule.unpublish_at && schedule.unpublish_at <= schedule.publish_at) {
+    throw new Error('Unpublish time must be after the publish time');
+  }
+  return schedule;
+}
+
+// Task steps from the admin form: { steps (array, or one step per line), auto_verify_steps } -> stored values.
+// Auto-verify needs a step with an expected answer and isn't allowed when a human has screenshots to look at.
+function parseTaskSteps(input, proofTypes) {
+  const steps = normalizeSteps(input.steps);
+  const autoVerify = !!input.auto_verify_steps;
+  if (autoVerify && !hasCheckedSteps(steps)) {
+    throw new Error('Auto-verify needs at least one code or question step with an expected answer');
+  }
+  if (autoVerify && (hasScreenshotSteps(steps) || proofTypes.split(',').includes('screenshot'))) {
+    throw new Error('Auto-verify can\'t be used on tasks that ask for screenshots');
+  }
+  return { steps, auto_verify_steps: autoVerify };
+}
+
+// Optional task limits from the admin form (empty = no limit):
+// { max_completions, budget (rupees), daily_quota, expires_at (ISO date), repeat_cadence, repeat_limit } -> stored values
+function parseTaskLimits(input) {
+  const count = (value, label) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`${label} must be a whole number of at least 1`);
+    }
+    return number;
+  };
+
+  const expiresAt = toSqliteDateTime(input.expires_at, 'expiry date');
+
+  // once = a single completion ever; daily/weekly = repeat_limit completions per day/week; total = repeat_limit overall
+  const repeatCadence = String(input.repeat_cadence || 'once').trim().toLowerCase();
+  if (!['once', 'daily', 'weekly', 'total'].includes(repeatCadence)) {
+    throw new Error('Repeat must be once, daily, weekly or total');
+  }
+  const repeatLimit = repeatCadence === 'once' ? 1 : (count(input.repeat_limit, 'Repeat count') || 1);
+  if (repeatLimit > 100) {
+    throw new Error('Repeat count cannot be more than 100');
+  }
+
+  return {
+    max_completions: count(input.max_completions, 'Maximum completions'),
+    budget: input.budget === undefined || input.budget === null || input.budget === '' ? null : parseRupees(input.budget),
+    daily_quota: count(input.daily_quota, 'Daily quota'),
+    expires_at: expiresAt,
+    repeat_cadence: repeatCadence,
+    repeat_limit: repeatLimit
+  };
+}
+
+// Task category, tags and eligibility rules from the admin form
+function parseTaskTargeting(input) {
+  const wholeNumber = (value, label) => {
+    if (value === undefined || value === null || value === '') return 0;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`${label} must be a whole number`);
+    }
+    return number;
+  };
+
+  const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+  const category = String(input.category || '').trim();
+  if (category.length > 40) {
+    throw new Error('Category cannot be longer than 40 characters');
+  }
+
+  const tags = [...new Set(list(input.tags).map(tag => tag.toLowerCase()))];
+  if (tags.some(tag => tag.length > 30) || tags.length > 10) {
+    throw new Error('Use at most 10 tags of up to 30 characters');
+  }
+
+  const referralRule = input.referral_rule || 'any';
+  if (!['any', 'referred', 'not_referred'].includes(referralRule)) {
+    throw new Error('Referral rule must be any, referred or not_referred');
+  }
+
+  const phonePrefixes = list(input.phone_prefixes).map(prefix => (prefix.startsWith('+') ? prefix : '+' + prefix));
+  if (phonePrefixes.some(prefix => !/^\+\d{1,4}$/.test(prefix))) {
+    throw new Error('Phone prefixes must be country codes like +91');
+  }
+
+  return {
+    category,
+    tags: tags.join(','),
+    min_account_age_days: wholeNumber(input.min_account_age_days, 'Minimum account age'),
+    min_completed_tasks: wholeNumber(input.min_completed_tasks, 'Minimum completed tasks'),
+    requires_verified: input.requires_verified ? 1 : 0,
+    referral_rule: referralRule,
+    phone_prefixes: phonePrefixes.join(',')
+  };
+}
+
 // Initialize database
 initializeDatabase();
 
 // Middleware
+// Task submissions carry screenshots as base64 data URLs (up to 3 x 2 MB, ~4/3 larger once encoded)
+app.use('/api/tasks/submit', bodyParser.json({ limit: '10mb' }), (err, req, res, next) => {
+  if (err.type !== 'entity.too.large') return next(err);
+  res.status(413).json({ success: false, message: 'Submission failed: proof files are too large' });
+});
+// Bank settlement files arrive as one CSV string, one line per payout
+app.use('/api/admin/payouts/import', bodyParser.json({ limit: '5mb' }), (err, req, res, next) => {
+  if (err.type !== 'entity.too.large') return next(err);
+  res.status(413).json({ success: false, message: 'Import failed: settlement file is too large (max 5 MB)' });
+});
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -37,6 +371,9 @@ app.use(session({
   }
 }));
 
+// Proof screenshots are only served through the admin proof route
+app.use('/uploads', (req, res) => res.status(404).end());
+
 // Serve static files with cache control headers
 app.use(express.static(__dirname, {
   setHeaders: (res, path) => {
@@ -78,10 +415,16 @@ const requireAuth = (req, res, next) => {
 // Admin authentication middleware
 const requireAdmin = (req, res, next) => {
   const adminPassword = req.headers['admin-password'] || req.body.adminPassword;
+  const adminName = String(req.headers['admin-name'] || req.body.adminName || '').trim().toLowerCase();
   const validAdminPassword = process.env.ADMIN_PASSWORD || '848592'; // Default fallback password
   
-  if (adminPassword !== validAdminPassword) {
-    return res.status(403).json({ success: false, message: 'Invalid admin password' });
+  const account = adminAccounts.find(a => a.name.toLowerCase() === adminName && a.password === adminPassword);
+  if (account) {
+    req.adminName = account.name;
+  } else if (adminAccounts.length === 0 && adminPassword === validAdminPassword) {
+    req.adminName = 'admin';
+  } else {
+    return res.status(403).json({ success: false, message: adminAccounts.length ? 'Invalid admin name or password' : 'Invalid admin password' });
   }
   next();
 };
@@ -108,7 +451,7 @@ app.get('/api/auth/check', (req, res) => {
             username: user.username,
             name: user.name,
             email: user.email,
-            balance: user.balance,
+            balance: toRupees(user.balance),
             verified_badge: user.verified_badge,
             custom_badge_text: user.custom_badge_text,
             profile_photo: user.profile_photo,
@@ -161,6 +504,12 @@ app.post('/api/auth/signup', (req, res) => {
   // Set UPI to pending if not provided (user can update later)
   if (!upi) {
     upi = 'pending';
+  } else {
+    try {
+      upi = normalizeVpa(upi);
+    } catch (error) {
+      return res.json({ success: false, message: error.message });
+    }
   }
 
   // Check if email already exists
@@ -176,6 +525,10 @@ app.post('/api/auth/signup', (req, res) => {
   try {
     const result = userDb.create({ name, email, phone, upi, password, username });
     const newUserId = result.lastInsertRowid;
+
+    if (upi !== 'pending') {
+      destinationDb.create(newUserId, validateDestination({ type: 'upi', vpa: upi }));
+    }
     
     // Create persistent session (1 year validity)
     req.session.userId = newUserId;
@@ -192,9 +545,8 @@ app.post('/api/auth/signup', (req, res) => {
     if (inviteCode) {
       const referrer = userDb.findByReferralCode(inviteCode.toUpperCase());
       if (referrer && referrer.id !== newUserId && !referrer.banned) {
-        // Give instant ₹5 to referrer (₹15 more when invited user completes first task)
-        const instantReward = 5;
-        referralDb.create(referrer.id, newUserId, instantReward);
+        // Referral on the active plan; pays the plan's signup reward up the referrer chain
+        referralDb.create(referrer.id, newUserId);
       }
     }
     
@@ -277,7 +629,9 @@ app.get('/api/user/me', requireAuth, (req, res) => {
       email: req.user.email,
       phone: req.user.phone,
       upi: req.user.upi,
-      balance: req.user.balance,
+      balance: toRupees(req.user.balance),
+      available_balance: toRupees(req.user.balance),
+      held_balance: toRupees(req.user.held_balance),
       verified_badge: req.user.verified_badge,
       custom_badge_text: req.user.custom_badge_text,
       profile_photo: req.user.profile_photo,
@@ -285,12 +639,35 @@ app.get('/api/user/me', requireAuth, (req, res) => {
       telegram_reward_claimed: req.user.telegram_reward_claimed,
       upi_locked: req.user.upi_locked,
       registered_upi: req.user.registered_upi,
+      upi_cooling_off_until: req.user.upi_cooling_off_until,
       referral_code: req.user.referral_code,
       created_at: req.user.created_at
     }
   });
 });
 
+// Get my UPI change requests
+app.get('/api/user/upi-change-requests', requireAuth, (req, res) => {
+  const requests = upiChangeDb.getByUserId(req.user.id);
+  res.json({ success: true, requests, coolingOffUntil: req.user.upi_cooling_off_until });
+});
+
+// Ask admins to change a locked UPI
+app.post('/api/user/upi-change-request', requireAuth, (req, res) => {
+  const { newUpi, reason } = req.body;
+
+  if (!newUpi || !reason || !String(reason).trim()) {
+    return res.json({ success: false, message: 'New UPI ID and reason are required' });
+  }
+
+  try {
+    upiChangeDb.create(req.user.id, normalizeVpa(newUpi), String(reason).trim());
+    res.json({ success: true, message: 'UPI change request submitted. An admin will review it soon.' });
+  } catch (error) {
+    res.json({ success: false, message: 'Request failed: ' + error.message });
+  }
+});
+
 // Get user overview/stats for dashboard
 app.get('/api/user/overview', requireAuth, (req, res) => {
   try {
@@ -307,13 +684,13 @@ app.get('/api/user/overview', requireAuth, (req, res) => {
         name: userStats.name,
         email: userStats.email,
         phone: userStats.phone,
-        balance: userStats.balance,
+        balance: toRupees(userStats.balance),
         verified_badge: userStats.verified_badge,
         custom_badge_text: userStats.custom_badge_text,
         profile_photo: userStats.profile_photo,
         upi_locked: userStats.upi_locked,
         registered_upi: userStats.registered_upi,
-        stats: userStats.stats
+        stats: withRupees(userStats.stats, ['totalEarnings'])
       }
     });
   } catch (error) {
@@ -334,10 +711,45 @@ app.post('/api/user/update-profile', requireAuth, (req, res) => {
   }
 });
 
-// Get user transactions
+// Get user transactions (cursor-paginated, filterable)
 app.get('/api/user/transactions', requireAuth, (req, res) => {
-  const transactions = transactionDb.getByUserId(req.user.id);
-  res.json({ success: true, transactions });
+  try {
+    const result = transactionDb.list({ ...parseTransactionFilters(req.query), userId: req.user.id });
+    res.json({ success: true, transactions: withRupees(result.transactions, ['amount']), nextCursor: result.nextCursor });
+  } catch (error) {
+    res.json({ success: false, message: 'Failed to fetch transactions: ' + error.message });
+  }
+});
+
+// Get the transaction types a user has, for the filter dropdown
+app.get('/api/user/transactions/types', requireAuth, (req, res) => {
+  res.json({ success: true, types: transactionDb.getTypes(req.user.id) });
+});
+
+// Download a monthly statement (?month=YYYY-MM&format=csv|pdf)
+app.get('/api/user/statement', requireAuth, (req, res) => {
+  const { month } = req.query;
+  const format = req.query.format === 'pdf' ? 'pdf' : 'csv';
+
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+    return res.json({ success: false, message: 'Month must be in YYYY-MM format' });
+  }
+
+  try {
+    const statement = transactionDb.getStatement(req.user.id, month);
+    const filename = `cashbyking-statement-${month}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.send(buildStatementPdf(req.user, statement));
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.send(buildStatementCsv(req.user, statement));
+    }
+  } catch (error) {
+    res.json({ success: false, message: 'Statement failed: ' + error.message });
+  }
 });
 
 // Telegram join reward
@@ -398,25 +810,219 @@ setInterval(cleanupOldNotifications, 60 * 60 * 1000);
   res.json({ success: true, message: 'Telegram join verified! Admin will review and add ₹5 reward.' });
 });
 
+// Send the "new task" notification to ALL users (including admin and all registered users); returns how many were notified
+function sendNewTaskNotification(task) {
+  const { title } = task;
+  const price = toRupees(task.price);
+  const users = userDb.getAll(); // Gets ALL users from database
+  
+  // Initialize global notification storage (persists in server memory)
+  if (!global.userNotifications) {
+    global.userNotifications = {};
+  }
+  
+  const notificationMessages = [
+    `🎉 नया Task आ गया! "${title}" complete करो और ₹${price} कमाओ!`,
+    `💰 Fresh Task Available! "${title}" - ₹${price} इनाम तुम्हारा है!`,
+    `⚡ Hot Task Alert! "${title}" अभी करो और पाओ ₹${price}!`,
+    `🔥 Earning का मौका! "${title}" - आज ही ₹${price} कमाओ!`,
+    `✨ नया काम आया! "${title}" पूरा करके ₹${price} पाओ!`,
+    `🚀 Task Notification! Complete "${title}" - Get ₹${price} reward!`,
+    `💸 नई कमाई! "${title}" task अभी available - ₹${price} जीतो!`,
+    `🎯 New Opportunity! "${title}" - Earn ₹${price} now!`,
+    `💵 कमाई का नया तरीका! "${title}" - ₹${price} reward मिलेगा!`
+  ];
+  
+  const randomMessage = notificationMessages[Math.floor(Math.random() * notificationMessages.length)];
+  
+  // Send to ALL users including admin
+  users.forEach(user => {
+    // Initialize notification array for each user if not exists
+    if (!global.userNotifications[user.id]) {
+      global.userNotifications[user.id] = [];
+    }
+    
+    // Add notification for EVERY user (including admin user ID 1)
+    global.userNotifications[user.id].push({
+      id: Date.now() + Math.random() * 1000 + user.id, // Unique ID
+      message: randomMessage,
+      timestamp: new Date().toISOString(),
+      read: false,
+      type: 'new_task',
+      taskId: task.id,
+      taskTitle: title,
+      taskPrice: price
+    });
+  });
+  
+  console.log(`📢 Push notifications sent to ${users.length} users (including admin) for new task: "${title}" (₹${price})`);
+  console.log(`📱 Notification example: "${randomMessage}"`);
+  return users.length;
+}
+
+// Notify users about tasks that have gone live since the last run (scheduled publish_at reached,
+// or created live with notifications on); returns how many notifications went out
+function publishTasks() {
+  let notificationsSent = 0;
+  for (const task of taskDb.takeDueNotifications()) {
+    notificationsSent += sendNewTaskNotification(task);
+  }
+  return notificationsSent;
+}
+
+// Check for scheduled tasks going live every minute
+setInterval(() => {
+  try {
+    publishTasks();
+  } catch (error) {
+    console.error('Scheduled task publishing failed:', error);
+  }
+}, 60 * 1000);
+
 // ==================== TASK ROUTES ====================
 
-// Get available tasks for user
+// Every category the user has available tasks in, with how many
+function countTaskCategories(tasks) {
+  const counts = {};
+  for (const task of tasks) {
+    if (task.category) counts[task.category] = (counts[task.category] || 0) + 1;
+  }
+  return Object.keys(counts).sort().map(category => ({ category, count: counts[category] }));
+}
+
+// Tasks as users see them (no step answers, amounts in rupees)
+function publicTasks(tasks) {
+  return withRupees(tasks.map(task => ({ ...task, steps: publicSteps(task.steps) })), ['price', 'budget', 'spent']);
+}
+
+// Get available tasks for user (?category= filters; categories lists every category the user has tasks in)
 app.get('/api/tasks/available', requireAuth, (req, res) => {
-  const tasks = taskLikeDb.getTasksWithLikes(req.user.id);
-  res.json({ success: true, tasks });
+  const tasks = taskDb.getAvailableForUser(req.user.id);
+  const categories = countTaskCategories(tasks);
+
+  const category = req.query.category;
+  const filtered = category ? tasks.filter(task => task.category === category) : tasks;
+
+  res.json({ success: true, tasks: publicTasks(filtered), categories });
 });
 
-// Submit task for review
-app.post('/api/tasks/submit', requireAuth, (req, res) => {
+// Search the task catalogue (?q=&category=&sort=newest|reward|popular&cursor=&limit=).
+// The first page (no cursor) also lists the user's categories for the filter chips.
+app.get('/api/tasks/catalogue', requireAuth, (req, res) => {
+  try {
+    const search = String(req.query.q || '').trim();
+    if (search.length > MAX_CATALOGUE_SEARCH_LENGTH) {
+      throw new Error(`Search cannot be longer than ${MAX_CATALOGUE_SEARCH_LENGTH} characters`);
+    }
+
+    const result = taskDb.getCatalogue(req.user.id, {
+      search,
+      category: req.query.category ? String(req.query.category) : '',
+      sort: req.query.sort ? String(req.query.sort) : 'newest',
+      cursor: req.query.cursor ? String(req.query.cursor) : undefined,
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50)
+    });
+
+    const response = { success: true, tasks: publicTasks(result.tasks), nextCursor: result.nextCursor };
+    if (!req.query.cursor) {
+      response.categories = countTaskCategories(taskDb.getAvailableForUser(req.user.id));
+    }
+    res.json(response);
+  } catch (error) {
+    res.json({ success: false, message: 'Task search failed: ' + error.message });
+  }
+});
+
+// Record that the user opened a task's detail page (for the admin task funnel)
+app.post('/api/tasks/view', requireAuth, (req, res) => {
+  const { taskId } = req.body;
+
+  try {
+    const task = taskDb.getById(taskId);
+    if (!task) {
+      throw new Error('Task not found');
+    }
+    taskAnalyticsDb.recordView(task.id, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.json({ success: false, message: 'View failed: ' + error.message });
+  }
+});
+
+// Start a task: records when the user opened it; submissions are timed from here
+app.post('/api/tasks/start', requireAuth, (req, res) => {
   const { taskId } = req.body;
+
+  if (!taskId) {
+    return res.json({ success: false, message: 'Task ID required' });
+  }
+
+  try {
+    const task = taskDb.getById(taskId);
+    if (!task || !task.enabled || taskDb.getSchedule(task) !== 'live') {
+      throw new Error('Task not available');
+    }
+
+    pendingTaskDb.checkCanSubmit(req.user.id, task);
+    taskDb.checkEligibility(req.user.id, task);
+    const session = taskSessionDb.start(req.user.id, task);
+    res.json({
+      success: true,
+      sessionId: session.id,
+      startedAt: session.started_at,
+      elapsed: session.elapsed,
+      minSeconds: task.timer || 0,
+      timeLimit: task.time_limit || 0,
+      taskUrl: session.task_url
+    });
+  } catch (error) {
+    res.json({ success: false, message: 'Start failed: ' + error.message });
+  }
+});
+
+// Submit task for review, with the proof the task asks for ({ screenshots: [dataUrl], text, url, username })
+// and stepAnswers (one per step: the code/answer typed in, or a screenshot data URL for screenshot steps).
+// Must come from a started session, no sooner than tasks.timer and no later than tasks.time_limit seconds.
+app.post('/api/tasks/submit', requireAuth, (req, res) => {
+  const { taskId, proofs, stepAnswers } = req.body;
   
   if (!taskId) {
     return res.json({ success: false, message: 'Task ID required' });
   }
   
   try {
-    pendingTaskDb.create(req.user.id, taskId);
-    res.json({ success: true, message: 'Task submitted for review! You will be notified once approved.' });
+    const task = taskDb.getById(taskId);
+    if (!task || !task.enabled || taskDb.getSchedule(task) !== 'live') {
+      throw new Error('Task not available');
+    }
+
+    pendingTaskDb.checkCanSubmit(req.user.id, task);
+    taskDb.checkEligibility(req.user.id, task);
+    const session = taskSessionDb.checkSubmit(req.user.id, task);
+    const stepCheck = checkStepAnswers(task.steps, stepAnswers);
+    const saved = saveProofFiles([
+      ...validateProofs(task, proofs),
+      ...stepCheck.answers,
+      ...validateStepScreenshots(stepCheck.screenshots)
+    ]);
+    let result;
+    try {
+      result = pendingTaskDb.create(req.user.id, task.id, saved, session);
+    } catch (error) {
+      removeProofFiles(saved);
+      throw error;
+    }
+
+    // Auto-review rules may have decided the submission already
+    const { autoReview } = result;
+    if (autoReview && autoReview.action === 'approve') {
+      return res.json({ success: true, status: 'approved', message: `Task approved! ${formatRupees(autoReview.reward)} added to your wallet.` });
+    }
+    if (autoReview && autoReview.action === 'reject') {
+      return res.json({ success: true, status: 'rejected', message: `Submission rejected: ${autoReview.reason}` });
+    }
+
+    res.json({ success: true, status: 'pending', message: 'Task submitted for review! You will be notified once approved.' });
   } catch (error) {
     res.json({ success: false, message: 'Submission failed: ' + error.message });
   }
@@ -439,10 +1045,55 @@ app.post('/api/tasks/like', requireAuth, (req, res) => {
   }
 });
 
+// A task's rating summary, latest reviews and the user's own review (?taskId=)
+app.get('/api/tasks/reviews', requireAuth, (req, res) => {
+  try {
+    const task = taskDb.getById(req.query.taskId);
+    if (!task) {
+      throw new Error('Task not found');
+    }
+    res.json({ success: true, ...taskFeedbackDb.getReviews(task.id, req.user.id) });
+  } catch (error) {
+    res.json({ success: false, message: 'Failed to fetch reviews: ' + error.message });
+  }
+});
+
+// Rate a completed task 1-5 stars with an optional short review (replaces the user's earlier one)
+app.post('/api/tasks/review', requireAuth, (req, res) => {
+  const { taskId } = req.body;
+
+  try {
+    const task = taskDb.getById(taskId);
+    if (!task) {
+      throw new Error('Task not found');
+    }
+    taskFeedbackDb.saveReview(task.id, req.user.id, normalizeReview(req.body));
+    res.json({ success: true, message: 'Thanks for rating this task!' });
+  } catch (error) {
+    res.json({ success: false, message: 'Review failed: ' + error.message });
+  }
+});
+
+// Report a task as broken ({ taskId, category, details }); any signed-in user can report
+app.post('/api/tasks/report', requireAuth, (req, res) => {
+  const { taskId } = req.body;
+
+  try {
+    const task = taskDb.getById(taskId);
+    if (!task) {
+      throw new Error('Task not found');
+    }
+    taskFeedbackDb.report(task.id, req.user.id, normalizeReport(req.body));
+    res.json({ success: true, message: 'Thanks! We will check this task.' });
+  } catch (error) {
+    res.json({ success: false, message: 'Report failed: ' + error.message });
+  }
+});
+
 // Get user pending tasks
 app.get('/api/tasks/pending', requireAuth, (req, res) => {
   const pendingTasks = pendingTaskDb.getByUserId(req.user.id);
-  res.json({ success: true, pendingTasks });
+  res.json({ success: true, pendingTasks: withRupees(pendingTasks, ['price']) });
 });
 
 // ==================== DAILY CHECKIN ROUTES ====================
@@ -471,7 +1122,13 @@ app.get('/api/checkin/status', requireAuth, (req, res) => {
     }
   }
   
-  res.json({ success: true, canClaim, nextDay, history, lastCheckin });
+  res.json({
+    success: true,
+    canClaim,
+    nextDay,
+    history: withRupees(history, ['amount']),
+    lastCheckin: withRupees(lastCheckin, ['amount'])
+  });
 });
 
 // Claim daily reward
@@ -495,12 +1152,12 @@ app.post('/api/checkin/claim', requireAuth, (req, res) => {
     }
   }
   
-  // Random amount between 1 and 10
-  const amount = Math.floor(Math.random() * 10) + 1;
+  // Random amount between ₹1 and ₹10
+  const amount = rupees(Math.floor(Math.random() * 10) + 1);
   
   try {
     checkinDb.claim(req.user.id, nextDay, amount);
-    res.json({ success: true, message: `Congratulations! You earned ₹${amount} 🎉`, amount, day: nextDay });
+    res.json({ success: true, message: `Congratulations! You earned ₹${toRupees(amount)} 🎉`, amount: toRupees(amount), day: nextDay });
   } catch (error) {
     res.json({ success: false, message: 'Claim failed: ' + error.message });
   }
@@ -508,50 +1165,150 @@ app.post('/api/checkin/claim', requireAuth, (req, res) => {
 
 // ==================== REFERRAL ROUTES ====================
 
-// Get user referrals
+// Get user referrals, every referral reward paid to the user (payouts, from all levels) and the
+// active plan's rewards for new invites
 app.get('/api/referrals/my', requireAuth, (req, res) => {
   const referrals = referralDb.getByUserId(req.user.id);
-  res.json({ success: true, referrals });
+  const payouts = referralDb.getPayoutsForUser(req.user.id);
+  const plan = referralPlanDb.getActive();
+  res.json({
+    success: true,
+    referrals: withRupees(referrals, ['reward_amount']),
+    payouts: withRupees(payouts, ['amount']),
+    totalEarned: toRupees(payouts.reduce((sum, payout) => sum + payout.amount, 0)),
+    plan: plan ? referralPlanForApi({ levels: plan.levels, rewards: plan.rewards }) : null
+  });
 });
 
 // ==================== WITHDRAWAL ROUTES ====================
 
 // Request withdrawal
 app.post('/api/wallet/withdraw', requireAuth, (req, res) => {
-  const { amount, paymentMethod, paymentDetails } = req.body;
+  const { amount, destinationId } = req.body;
   
-  if (!amount || !paymentMethod || !paymentDetails) {
+  if (!amount || !destinationId) {
     return res.json({ success: false, message: 'All fields are required' });
   }
   
-  const withdrawAmount = parseFloat(amount);
-  
-  if (withdrawAmount < 50) {
-    return res.json({ success: false, message: 'Minimum withdrawal amount is ₹50' });
+  let withdrawAmount;
+  try {
+    withdrawAmount = parseRupees(amount);
+  } catch (error) {
+    return res.json({ success: false, message: error.message });
   }
   
-  const pendingTotal = withdrawalDb.getPendingTotalByUser(req.user.id);
-  const availableBalance = req.user.balance - pendingTotal;
-  
-  if (withdrawAmount > availableBalance) {
+  if (withdrawAmount > req.user.balance) {
     return res.json({ 
       success: false, 
-      message: `Insufficient available balance. You have ₹${pendingTotal.toFixed(2)} in pending withdrawals.` 
+      message: `Insufficient available balance. You have ${formatRupees(req.user.held_balance)} on hold for pending withdrawals.` 
     });
   }
   
   try {
-    withdrawalDb.create(req.user.id, withdrawAmount, paymentMethod, paymentDetails);
-    res.json({ success: true, message: 'Withdrawal request submitted! Admin will process it soon.' });
+    // Limits, fee and balance are checked inside the hold transaction, so concurrent requests can't both pass
+    const result = withdrawalDb.create(req.user.id, withdrawAmount, destinationId);
+    res.json({
+      success: true,
+      message: 'Withdrawal request submitted! The amount is on hold until admin processes it.',
+      fee: toRupees(result.fee),
+      netAmount: toRupees(result.net)
+    });
   } catch (error) {
     res.json({ success: false, message: 'Request failed: ' + error.message });
   }
 });
 
+// Get withdrawal limits and fees for each payment method
+app.get('/api/wallet/withdraw/policies', requireAuth, (req, res) => {
+  const policies = withdrawalPolicyDb.getAll().map(withdrawalPolicyForApi);
+  res.json({ success: true, policies });
+});
+
+// Preview the fee and net payout for a withdrawal before submitting it
+app.get('/api/wallet/withdraw/preview', requireAuth, (req, res) => {
+  const { amount, destinationId } = req.query;
+
+  try {
+    const destination = destinationDb.findForUser(destinationId, req.user.id);
+    if (!destination) {
+      throw new Error('Payout destination not found');
+    }
+
+    const quote = withdrawalPolicyDb.quote(destination.type, parseRupees(amount));
+    res.json({
+      success: true,
+      amount: toRupees(quote.amount),
+      fee: toRupees(quote.fee),
+      netAmount: toRupees(quote.net),
+      policy: withdrawalPolicyForApi(quote.policy)
+    });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+});
+
 // Get user withdrawal history
 app.get('/api/wallet/withdrawals', requireAuth, (req, res) => {
-  const withdrawals = withdrawalDb.getByUserId(req.user.id);
-  res.json({ success: true, withdrawals });
+  const withdrawals = withdrawalDb.getByUserId(req.user.id)
+    .map(w => ({ ...w, payment_details: maskPaymentDetails(w.payment_method, w.payment_details) }));
+  res.json({ success: true, withdrawals: withRupees(withdrawals, ['amount', 'fee_amount']) });
+});
+
+// ==================== PAYOUT DESTINATION ROUTES ====================
+
+// Get saved payout destinations (masked)
+app.get('/api/wallet/destinations', requireAuth, (req, res) => {
+  const destinations = destinationDb.getByUserId(req.user.id).map(d => ({
+    id: d.id,
+    type: d.type,
+    label: describeDestination(d),
+    vpa: d.type === 'upi' ? maskVpa(d.vpa) : '',
+    account_holder: d.account_holder,
+    account_number: d.type === 'bank' ? maskAccountNumber(d.account_number) : '',
+    ifsc: d.ifsc,
+    bank_name: d.bank_name,
+    created_at: d.created_at
+  }));
+  res.json({ success: true, destinations });
+});
+
+// Look up the bank for an IFSC code (used while typing bank details)
+app.get('/api/wallet/destinations/ifsc/:ifsc', requireAuth, (req, res) => {
+  try {
+    const { ifsc, bankName } = normalizeIfsc(req.params.ifsc);
+    res.json({ success: true, ifsc, bankName });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+});
+
+// Save a new UPI ID or bank account
+app.post('/api/wallet/destinations', requireAuth, (req, res) => {
+  const { type, vpa, accountHolder, accountNumber, ifsc } = req.body;
+
+  try {
+    const destination = validateDestination({ type, vpa, accountHolder, accountNumber, ifsc });
+    const result = destinationDb.create(req.user.id, destination);
+    res.json({
+      success: true,
+      message: `${describeDestination(destination)} saved`,
+      destinationId: result.lastInsertRowid
+    });
+  } catch (error) {
+    res.json({ success: false, message: 'Save failed: ' + error.message });
+  }
+});
+
+// Remove a saved destination
+app.post('/api/wallet/destinations/delete', requireAuth, (req, res) => {
+  const { destinationId } = req.body;
+
+  try {
+    destinationDb.remove(destinationId, req.user.id);
+    res.json({ success: true, message: 'Payout destination removed' });
+  } catch (error) {
+    res.json({ success: false, message: 'Remove failed: ' + error.message });
+  }
 });
 
 // ==================== ADMIN ROUTES ====================
@@ -559,7 +1316,7 @@ app.get('/api/wallet/withdrawals', requireAuth, (req, res) => {
 // Get all users
 app.get('/api/admin/users', requireAdmin, (req, res) => {
   const users = userDb.getAll();
-  res.json({ success: true, users });
+  res.json({ success: true, users: withRupees(users, ['balance', 'held_balance']) });
 });
 
 // Add/remove balance
@@ -571,8 +1328,24 @@ app.post('/api/admin/user/balance', requireAdmin, (req, res) => {
   }
   
   try {
-    const type = amount > 0 ? 'admin_credit' : 'admin_debit';
-    userDb.updateBalance(userId, parseFloat(amount), type, reason || 'Admin adjustment');
+    const amountPaise = parseRupees(amount, { allowNegative: true });
+
+    if (!userDb.findById(userId)) {
+      return res.json({ success: false, message: 'User not found' });
+    }
+
+    if (MAKER_CHECKER_ENABLED && Math.abs(amountPaise) > ADMIN_APPROVAL_THRESHOLD) {
+      const proposal = proposalDb.create('adjustment', [userId], amountPaise, reason || 'Admin adjustment', req.adminName);
+      return res.json({
+        success: true,
+        pendingApproval: true,
+        proposalId: proposal.lastInsertRowid,
+        message: `Adjustments above ${formatRupees(ADMIN_APPROVAL_THRESHOLD)} need a second admin. Saved as proposal #${proposal.lastInsertRowid}.`
+      });
+    }
+
+    const type = amountPaise > 0 ? 'admin_credit' : 'admin_debit';
+    userDb.updateBalance(userId, amountPaise, type, reason || 'Admin adjustment');
     res.json({ success: true, message: 'Balance updated successfully' });
   } catch (error) {
     res.json({ success: false, message: 'Update failed: ' + error.message });
@@ -652,28 +1425,131 @@ app.post('/api/admin/user/delete', requireAdmin, (req, res) => {
 app.get('/api/admin/analytics', requireAdmin, (req, res) => {
   try {
     const analytics = userDb.getAnalytics();
-    res.json({ success: true, analytics });
+    res.json({
+      success: true,
+      analytics: withRupees(analytics, ['totalBalance', 'totalWithdrawals', 'pendingWithdrawals'])
+    });
   } catch (error) {
     res.json({ success: false, message: 'Failed to fetch analytics: ' + error.message });
   }
 });
 
-// Bulk bonus to all users
-app.post('/api/admin/bulk-bonus', requireAdmin, (req, res) => {
-  const { amount, reason } = req.body;
+// Reconcile user balances against the ledger
+app.get('/api/admin/ledger/reconcile', requireAdmin, (req, res) => {
+  try {
+    const report = ledgerDb.reconcile();
+    res.json({
+      success: true,
+      usersChecked: report.usersChecked,
+      mismatches: withRupees(report.mismatches, ['balance', 'held_balance', 'ledger_balance', 'ledger_held', 'difference', 'heldDifference']),
+      unbalancedTransactions: withRupees(report.unbalancedTransactions, ['total'])
+    });
+  } catch (error) {
+    res.json({ success: false, message: 'Reconciliation failed: ' + error.message });
+  }
+});
+
+// Bulk bonus to all users
+app.post('/api/admin/bulk-bonus', requireAdmin, (req, res) => {
+  const { amount, reason } = req.body;
   
   if (!amount || amount === 0) {
     return res.json({ success: false, message: 'Amount is required' });
   }
   
   try {
-    const count = userDb.addBulkBonus(parseFloat(amount), reason || 'Bulk bonus from admin');
-    res.json({ success: true, message: `Successfully added ₹${amount} to ${count} users!`, affectedUsers: count });
+    const amountPaise = parseRupees(amount, { allowNegative: true });
+    const userIds = userDb.getBulkBonusUserIds();
+
+    if (MAKER_CHECKER_ENABLED && Math.abs(amountPaise) * userIds.length > ADMIN_APPROVAL_THRESHOLD) {
+      const proposal = proposalDb.create('bulk_bonus', userIds, amountPaise, reason || 'Bulk bonus from admin', req.adminName);
+      return res.json({
+        success: true,
+        pendingApproval: true,
+        proposalId: proposal.lastInsertRowid,
+        affectedUsers: userIds.length,
+        message: `Bulk bonuses above ${formatRupees(ADMIN_APPROVAL_THRESHOLD)} in total need a second admin. Saved as proposal #${proposal.lastInsertRowid}.`
+      });
+    }
+
+    const count = userDb.addBulkBonus(amountPaise, reason || 'Bulk bonus from admin');
+    res.json({ success: true, message: `Successfully added ${formatRupees(amountPaise)} to ${count} users!`, affectedUsers: count });
   } catch (error) {
     res.json({ success: false, message: 'Bulk bonus failed: ' + error.message });
   }
 });
 
+// Get balance adjustment proposals
+app.get('/api/admin/balance-proposals', requireAdmin, (req, res) => {
+  const proposals = proposalDb.getAll();
+  res.json({ success: true, proposals: withRupees(proposals, ['amount']), adminName: req.adminName });
+});
+
+// Get the users affected by a proposal
+app.get('/api/admin/balance-proposals/:proposalId/users', requireAdmin, (req, res) => {
+  const users = proposalDb.getUsers(req.params.proposalId);
+  res.json({ success: true, users });
+});
+
+// Approve proposal (must be a different admin than the proposer)
+app.post('/api/admin/balance-proposals/approve', requireAdmin, (req, res) => {
+  const { proposalId } = req.body;
+
+  try {
+    const result = proposalDb.approve(proposalId, req.adminName);
+    res.json({ success: true, message: `Proposal approved and applied to ${result.affectedUsers} user(s)` });
+  } catch (error) {
+    res.json({ success: false, message: 'Approval failed: ' + error.message });
+  }
+});
+
+// Reject proposal
+app.post('/api/admin/balance-proposals/reject', requireAdmin, (req, res) => {
+  const { proposalId, note } = req.body;
+
+  try {
+    proposalDb.reject(proposalId, req.adminName, note);
+    res.json({ success: true, message: 'Proposal rejected' });
+  } catch (error) {
+    res.json({ success: false, message: 'Rejection failed: ' + error.message });
+  }
+});
+
+// Get UPI change requests (pending first)
+app.get('/api/admin/upi-change-requests', requireAdmin, (req, res) => {
+  const requests = upiChangeDb.getAll();
+  res.json({ success: true, requests, coolingOffHours: UPI_CHANGE_COOLING_OFF_HOURS });
+});
+
+// Approve UPI change (moves the lock to the new UPI)
+app.post('/api/admin/upi-change-requests/approve', requireAdmin, (req, res) => {
+  const { requestId, adminNotes } = req.body;
+
+  try {
+    const result = upiChangeDb.approve(requestId, req.adminName, adminNotes, UPI_CHANGE_COOLING_OFF_HOURS);
+    res.json({
+      success: true,
+      message: result.coolingOffUntil
+        ? `UPI changed. Withdrawals to the new UPI open after ${result.coolingOffUntil} UTC.`
+        : 'UPI changed'
+    });
+  } catch (error) {
+    res.json({ success: false, message: 'Approval failed: ' + error.message });
+  }
+});
+
+// Reject UPI change
+app.post('/api/admin/upi-change-requests/reject', requireAdmin, (req, res) => {
+  const { requestId, adminNotes } = req.body;
+
+  try {
+    upiChangeDb.reject(requestId, req.adminName, adminNotes);
+    res.json({ success: true, message: 'UPI change request rejected' });
+  } catch (error) {
+    res.json({ success: false, message: 'Rejection failed: ' + error.message });
+  }
+});
+
 // Verify telegram join and give reward
 app.post('/api/admin/verify-telegram', requireAdmin, (req, res) => {
   const { userId } = req.body;
@@ -688,7 +1564,7 @@ app.post('/api/admin/verify-telegram', requireAdmin, (req, res) => {
   }
   
   try {
-    userDb.updateBalance(userId, 5, 'telegram_join', 'Telegram join reward');
+    userDb.updateBalance(userId, TELEGRAM_JOIN_REWARD, 'telegram_join', 'Telegram join reward');
     userDb.setTelegramJoined(userId, 1, 1);
     res.json({ success: true, message: 'Telegram join verified and ₹5 added!' });
   } catch (error) {
@@ -699,72 +1575,40 @@ app.post('/api/admin/verify-telegram', requireAdmin, (req, res) => {
 // Get all tasks (admin)
 app.get('/api/admin/tasks', requireAdmin, (req, res) => {
   const tasks = taskDb.getAllForAdmin();
-  res.json({ success: true, tasks });
+  res.json({ success: true, tasks: withRupees(tasks, ['price', 'budget', 'spent']) });
 });
 
 // Create task
 app.post('/api/admin/tasks/create', requireAdmin, (req, res) => {
-  const { title, description, instruction, thumbnail, price, timer, steps, task_url, sendNotification } = req.body;
+  const { title, description, instruction, thumbnail, price, timer, time_limit, max_resubmissions, task_url, proof_types, proof_instructions, sendNotification } = req.body;
   
   if (!title || !description || !instruction || price === undefined) {
     return res.json({ success: false, message: 'Required fields missing' });
   }
   
   try {
-    taskDb.create({ title, description, instruction, thumbnail, price, timer, steps, task_url });
-    
-    let notificationsSent = 0;
+    const pricePaise = parseRupees(price);
+    const schedule = parseTaskSchedule(req.body);
+    const proofTypes = normalizeProofTypes(proof_types);
+    taskDb.create({
+      title, description, instruction, thumbnail, price: pricePaise, task_url,
+      ...parseTaskSteps(req.body, proofTypes),
+      ...parseTaskTiming(timer, time_limit),
+      max_resubmissions: parseMaxResubmissions(max_resubmissions),
+      ...parseTaskLimits(req.body),
+      ...parseTaskTargeting(req.body),
+      ...schedule,
+      notify_on_publish: !!sendNotification,
+      proof_types: proofTypes,
+      proof_instructions: String(proof_instructions || '').trim()
+    });
     
-    // Send notifications to ALL users if requested (including admin and all registered users)
-    if (sendNotification) {
-      const users = userDb.getAll(); // Gets ALL users from database
-      notificationsSent = users.length;
-      
-      // Initialize global notification storage (persists in server memory)
-      if (!global.userNotifications) {
-        global.userNotifications = {};
-      }
-      
-      const notificationMessages = [
-        `🎉 नया Task आ गया! "${title}" complete करो और ₹${price} कमाओ!`,
-        `💰 Fresh Task Available! "${title}" - ₹${price} इनाम तुम्हारा है!`,
-        `⚡ Hot Task Alert! "${title}" अभी करो और पाओ ₹${price}!`,
-        `🔥 Earning का मौका! "${title}" - आज ही ₹${price} कमाओ!`,
-        `✨ नया काम आया! "${title}" पूरा करके ₹${price} पाओ!`,
-        `🚀 Task Notification! Complete "${title}" - Get ₹${price} reward!`,
-        `💸 नई कमाई! "${title}" task अभी available - ₹${price} जीतो!`,
-        `🎯 New Opportunity! "${title}" - Earn ₹${price} now!`,
-        `💵 कमाई का नया तरीका! "${title}" - ₹${price} reward मिलेगा!`
-      ];
-      
-      const randomMessage = notificationMessages[Math.floor(Math.random() * notificationMessages.length)];
-      
-      // Send to ALL users including admin
-      users.forEach(user => {
-        // Initialize notification array for each user if not exists
-        if (!global.userNotifications[user.id]) {
-          global.userNotifications[user.id] = [];
-        }
-        
-        // Add notification for EVERY user (including admin user ID 1)
-        global.userNotifications[user.id].push({
-          id: Date.now() + Math.random() * 1000 + user.id, // Unique ID
-          message: randomMessage,
-          timestamp: new Date().toISOString(),
-          read: false,
-          type: 'new_task',
-          taskTitle: title,
-          taskPrice: price
-        });
-      });
-      
-      console.log(`📢 Push notifications sent to ${notificationsSent} users (including admin) for new task: "${title}" (₹${price})`);
-      console.log(`📱 Notification example: "${randomMessage}"`);
-    }
+    // Tasks that are live now notify straight away; scheduled ones when publishTasks sees them go live
+    const notificationsSent = publishTasks();
     
     res.json({ 
       success: true, 
-      message: 'Task created successfully',
+      message: schedule.publish_at && taskDb.getSchedule(schedule) === 'scheduled' ? 'Task scheduled successfully' : 'Task created successfully',
       notificationsSent 
     });
   } catch (error) {
@@ -772,18 +1616,139 @@ app.post('/api/admin/tasks/create', requireAdmin, (req, res) => {
   }
 });
 
-// Update task
+// Update task (steps are set through /api/admin/tasks/steps, which checks them against auto-verify)
 app.post('/api/admin/tasks/update', requireAdmin, (req, res) => {
-  const { taskId, title, description, instruction, thumbnail, price, timer, steps, task_url } = req.body;
+  const { taskId, title, description, instruction, thumbnail, price, timer, time_limit, max_resubmissions, task_url } = req.body;
   
   try {
-    taskDb.update(taskId, { title, description, instruction, thumbnail, price, timer, steps, task_url });
+    taskDb.update(taskId, {
+      title, description, instruction, thumbnail, price: parseRupees(price), task_url,
+      ...parseTaskTiming(timer, time_limit),
+      max_resubmissions: parseMaxResubmissions(max_resubmissions)
+    });
     res.json({ success: true, message: 'Task updated successfully' });
   } catch (error) {
     res.json({ success: false, message: 'Update failed: ' + error.message });
   }
 });
 
+// Per-task performance for a date range (?from=&to= YYYY-MM-DD): funnel counts, top rejection reasons,
+// average time to complete, paid out and cost per approval
+app.get('/api/admin/tasks/analytics', requireAdmin, (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    const report = taskAnalyticsDb.getReport(range);
+    res.json({
+      success: true,
+      range,
+      tasks: withRupees(report.tasks, ['price', 'paid', 'cost_per_approval']),
+      totals: withRupees(report.totals, ['paid', 'cost_per_approval'])
+    });
+  } catch (error) {
+    res.json({ success: false, message: 'Failed to fetch task analytics: ' + error.message });
+  }
+});
+
+// A task's ratings, reviews and broken-task reports (?taskId=)
+app.get('/api/admin/tasks/feedback', requireAdmin, (req, res) => {
+  try {
+    const task = taskDb.getById(req.query.taskId);
+    if (!task) {
+      throw new Error('Task not found');
+    }
+    const { summary, reviews } = taskFeedbackDb.getReviews(task.id, null, 50);
+    res.json({ success: true, summary, reviews, reports: taskFeedbackDb.getReports(task.id) });
+  } catch (error) {
+    res.json({ success: false, message: 'Failed to fetch feedback: ' + error.message });
+  }
+});
+
+// Mark a task's open reports as resolved (after fixing it)
+app.post('/api/admin/tasks/reports/resolve', requireAdmin, (req, res) => {
+  const { taskId } = req.body;
+
+  try {
+    const resolved = taskFeedbackDb.resolveReports(taskId, req.adminName);
+    res.json({ success: true, message: `${resolved} report${resolved === 1 ? '' : 's'} resolved` });
+  } catch (error) {
+    res.json({ success: false, message: 'Resolve failed: ' + error.message });
+  }
+});
+
+// Set a task's structured steps and whether correct step answers approve submissions
+app.post('/api/admin/tasks/steps', requireAdmin, (req, res) => {
+  const { taskId } = req.body;
+
+  try {
+    const task = taskDb.getById(taskId);
+    if (!task) {
+      throw new Error('Task not found');
+    }
+    const { steps, auto_verify_steps } = parseTaskSteps(req.body, task.proof_types || '');
+    taskDb.setSteps(task.id, steps, auto_verify_steps);
+    res.json({ success: true, message: 'Task steps updated' });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
+});
+
+// Set the proof a task asks for
+app.post('/api/admin/tasks/proof', requireAdmin, (req, res) => {
+  const { taskId, proof_types, proof_instructions } = req.body;
+
+  try {
+    const proofTypes = normalizeProofTypes(proof_types);
+    const task = taskDb.getById(taskId);
+    if (task && task.auto_verify_steps && proofTypes.split(',').includes('screenshot')) {
+      throw new Error('Turn off auto-verify in the task steps before asking for screenshots');
+    }
+    taskDb.setProofRequirements(taskId, proofTypes, String(proof_instructions || '').trim());
+    res.json({ success: true, message: 'Proof requirements updated' });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
+});
+
+// Set a task's completion cap, budget, daily quota and expiry (re-checks whether it should be on)
+app.post('/api/admin/tasks/limits', requireAdmin, (req, res) => {
+  const { taskId } = req.body;
+
+  try {
+    const task = taskDb.setLimits(taskId, parseTaskLimits(req.body));
+    res.json({
+      success: true,
+      message: task.enabled ? 'Task limits updated' : `Task limits updated (task is off${task.disabled_reason ? ': ' + task.disabled_reason.replace('_', ' ') : ''})`
+    });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
+});
+
+// Set a task's category, tags and eligibility rules
+app.post('/api/admin/tasks/targeting', requireAdmin, (req, res) => {
+  const { taskId } = req.body;
+
+  try {
+    taskDb.setTargeting(taskId, parseTaskTargeting(req.body));
+    res.json({ success: true, message: 'Task targeting updated' });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
+});
+
+// Set a task's publishing window (publish_at / unpublish_at, empty = no bound)
+app.post('/api/admin/tasks/schedule', requireAdmin, (req, res) => {
+  const { taskId } = req.body;
+
+  try {
+    taskDb.setSchedule(taskId, parseTaskSchedule(req.body));
+    const notificationsSent = publishTasks();
+    res.json({ success: true, message: 'Task schedule updated', notificationsSent });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
+});
+
 // Delete task
 app.post('/api/admin/tasks/delete', requireAdmin, (req, res) => {
   const { taskId } = req.body;
@@ -811,15 +1776,34 @@ app.post('/api/admin/tasks/toggle', requireAdmin, (req, res) => {
 // Get all pending tasks
 app.get('/api/admin/pending-tasks', requireAdmin, (req, res) => {
   const pendingTasks = pendingTaskDb.getAll();
-  res.json({ success: true, pendingTasks });
+  res.json({ success: true, pendingTasks: withRupees(pendingTasks, ['price']) });
 });
 
-// Approve pending task
+// Proof screenshot for a submission
+app.get('/api/admin/proofs/:filename', requireAdmin, (req, res) => {
+  const filePath = getProofFilePath(req.params.filename);
+  const proof = filePath && pendingTaskDb.getProofFile(req.params.filename);
+
+  if (!proof) {
+    return res.status(404).json({ success: false, message: 'Proof not found' });
+  }
+
+  res.setHeader('Content-Type', proof.mime_type);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.sendFile(filePath, error => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ success: false, message: 'Proof file missing' });
+    }
+  });
+});
+
+// Approve pending task (the reward is the task's price, whatever the request says)
 app.post('/api/admin/pending-tasks/approve', requireAdmin, (req, res) => {
-  const { pendingId, userId, taskId, price } = req.body;
+  const { pendingId } = req.body;
   
   try {
-    pendingTaskDb.approve(pendingId, userId, taskId, price);
+    pendingTaskDb.approve(pendingId, req.adminName);
     res.json({ success: true, message: 'Task approved and payment credited!' });
   } catch (error) {
     res.json({ success: false, message: 'Approval failed: ' + error.message });
@@ -831,23 +1815,202 @@ app.post('/api/admin/pending-tasks/reject', requireAdmin, (req, res) => {
   const { pendingId, reason } = req.body;
   
   try {
-    pendingTaskDb.reject(pendingId, reason || 'Task rejected');
+    pendingTaskDb.reject(pendingId, reason || 'Task rejected', req.adminName);
     res.json({ success: true, message: 'Task rejected' });
   } catch (error) {
     res.json({ success: false, message: 'Rejection failed: ' + error.message });
   }
 });
 
-// Get all transactions
+// Moderation queue: pending submissions, oldest first, filterable by task, user, age and claim
+app.get('/api/admin/moderation/queue', requireAdmin, (req, res) => {
+  try {
+    const submissions = pendingTaskDb.getQueue(parseModerationFilters(req.query), req.adminName);
+    res.json({ success: true, submissions: withRupees(submissions, ['price']), reviewer: req.adminName });
+  } catch (error) {
+    res.json({ success: false, message: 'Failed to fetch queue: ' + error.message });
+  }
+});
+
+// Claim a batch of queue items (same filters as the queue) so other reviewers skip them
+app.post('/api/admin/moderation/claim', requireAdmin, (req, res) => {
+  try {
+    const ids = pendingTaskDb.claim(parseModerationFilters({ ...req.body, limit: req.body.limit || 20 }), req.adminName);
+    res.json({ success: true, claimed: ids, message: ids.length ? `Claimed ${ids.length} submissions` : 'Nothing left to claim' });
+  } catch (error) {
+    res.json({ success: false, message: 'Claim failed: ' + error.message });
+  }
+});
+
+// Release the reviewer's claims (all of them unless pendingIds is given)
+app.post('/api/admin/moderation/release', requireAdmin, (req, res) => {
+  try {
+    const { pendingIds } = req.body;
+    const released = pendingTaskDb.release(req.adminName, pendingIds ? parsePendingIds(pendingIds) : null);
+    res.json({ success: true, released, message: `Released ${released} submissions` });
+  } catch (error) {
+    res.json({ success: false, message: 'Release failed: ' + error.message });
+  }
+});
+
+// Bulk approve; all-or-nothing, rewards come from each task
+app.post('/api/admin/moderation/approve', requireAdmin, (req, res) => {
+  try {
+    const result = pendingTaskDb.approveMany(parsePendingIds(req.body.pendingIds), req.adminName);
+    res.json({
+      success: true,
+      ...result,
+      totalReward: toRupees(result.totalReward),
+      message: `Approved ${result.count} submissions (${formatRupees(result.totalReward)} credited)`
+    });
+  } catch (error) {
+    res.json({ success: false, message: 'Approval failed: ' + error.message });
+  }
+});
+
+// Bulk reject with one reason; all-or-nothing
+app.post('/api/admin/moderation/reject', requireAdmin, (req, res) => {
+  try {
+    const result = pendingTaskDb.rejectMany(parsePendingIds(req.body.pendingIds), String(req.body.reason || '').trim() || 'Task rejected', req.adminName);
+    res.json({ success: true, ...result, message: `Rejected ${result.count} submissions` });
+  } catch (error) {
+    res.json({ success: false, message: 'Rejection failed: ' + error.message });
+  }
+});
+
+// Auto-review rules, in the order they are tried
+app.get('/api/admin/auto-review/rules', requireAdmin, (req, res) => {
+  res.json({ success: true, rules: autoReviewRuleDb.getAll().map(autoReviewRuleForApi) });
+});
+
+// Create a rule, or update it when ruleId is given
+app.post('/api/admin/auto-review/rules/save', requireAdmin, (req, res) => {
+  const { ruleId } = req.body;
+
+  try {
+    const rule = normalizeRule(req.body);
+    if (ruleId) {
+      autoReviewRuleDb.update(ruleId, rule, req.adminName);
+    } else {
+      autoReviewRuleDb.create(rule, req.adminName);
+    }
+    res.json({ success: true, message: ruleId ? 'Rule updated' : 'Rule created' });
+  } catch (error) {
+    res.json({ success: false, message: 'Save failed: ' + error.message });
+  }
+});
+
+// Delete an auto-review rule
+app.post('/api/admin/auto-review/rules/delete', requireAdmin, (req, res) => {
+  try {
+    autoReviewRuleDb.delete(req.body.ruleId);
+    res.json({ success: true, message: 'Rule deleted' });
+  } catch (error) {
+    res.json({ success: false, message: 'Delete failed: ' + error.message });
+  }
+});
+
+// Referral plans, the active one first
+app.get('/api/admin/referral-plans', requireAdmin, (req, res) => {
+  res.json({ success: true, plans: referralPlanDb.getAll().map(referralPlanForApi) });
+});
+
+// Create a referral plan, or update it when planId is given (amounts in rupees)
+app.post('/api/admin/referral-plans/save', requireAdmin, (req, res) => {
+  const { planId } = req.body;
+
+  try {
+    const plan = normalizeReferralPlan(req.body);
+    if (planId) {
+      referralPlanDb.update(planId, plan, req.adminName);
+    } else {
+      referralPlanDb.create(plan, req.adminName);
+    }
+    res.json({ success: true, message: planId ? 'Plan updated' : 'Plan created' });
+  } catch (error) {
+    res.json({ success: false, message: 'Save failed: ' + error.message });
+  }
+});
+
+// Make a plan the one new referrals get
+app.post('/api/admin/referral-plans/activate', requireAdmin, (req, res) => {
+  try {
+    referralPlanDb.activate(req.body.planId, req.adminName);
+    res.json({ success: true, message: 'Plan activated' });
+  } catch (error) {
+    res.json({ success: false, message: 'Activate failed: ' + error.message });
+  }
+});
+
+// Get all transactions (cursor-paginated, filterable; ?userId= limits to one user)
 app.get('/api/admin/transactions', requireAdmin, (req, res) => {
-  const transactions = transactionDb.getAll();
-  res.json({ success: true, transactions });
+  try {
+    const filters = parseTransactionFilters(req.query);
+    if (req.query.userId) filters.userId = parseInt(req.query.userId, 10);
+
+    const result = transactionDb.list(filters);
+    res.json({
+      success: true,
+      transactions: withRupees(result.transactions, ['amount']),
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    res.json({ success: false, message: 'Failed to fetch transactions: ' + error.message });
+  }
+});
+
+// Get all transaction types, for the filter dropdown
+app.get('/api/admin/transactions/types', requireAdmin, (req, res) => {
+  res.json({ success: true, types: transactionDb.getTypes() });
 });
 
 // Get all withdrawal requests
 app.get('/api/admin/withdrawals', requireAdmin, (req, res) => {
   const withdrawals = withdrawalDb.getAll();
-  res.json({ success: true, withdrawals });
+  res.json({ success: true, withdrawals: withRupees(withdrawals, ['amount', 'fee_amount']) });
+});
+
+// Get withdrawal policies (admin)
+app.get('/api/admin/withdrawal-policies', requireAdmin, (req, res) => {
+  const policies = withdrawalPolicyDb.getAll().map(withdrawalPolicyForApi);
+  res.json({ success: true, policies });
+});
+
+// Update a payment method's withdrawal policy (blank limits mean no limit)
+app.post('/api/admin/withdrawal-policies/update', requireAdmin, (req, res) => {
+  const { paymentMethod, minAmount, maxAmount, dailyCount, dailyAmount, feeType, feeValue, signupCooldownHours } = req.body;
+
+  const isBlank = value => value === undefined || value === null || value === '';
+  const parseCount = (value, label) => {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`${label} must be a whole number`);
+    }
+    return count;
+  };
+
+  try {
+    const policy = {
+      min_amount: isBlank(minAmount) ? 0 : parseRupees(minAmount, { allowZero: true }),
+      max_amount: isBlank(maxAmount) ? null : parseRupees(maxAmount),
+      daily_count: isBlank(dailyCount) ? null : parseCount(dailyCount, 'Daily count'),
+      daily_amount: isBlank(dailyAmount) ? null : parseRupees(dailyAmount),
+      fee_type: feeType || 'none',
+      fee_value: 0,
+      signup_cooldown_hours: isBlank(signupCooldownHours) ? 0 : parseCount(signupCooldownHours, 'Cooldown')
+    };
+
+    if (policy.fee_type === 'percent') {
+      policy.fee_value = parseBasisPoints(feeValue);
+    } else if (policy.fee_type !== 'none') {
+      policy.fee_value = parseRupees(feeValue, { allowZero: true });
+    }
+
+    withdrawalPolicyDb.update(paymentMethod, policy, req.adminName);
+    res.json({ success: true, message: 'Withdrawal policy updated' });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
 });
 
 // Get PWA installs data (admin)
@@ -889,6 +2052,197 @@ app.post('/api/admin/withdrawals/reject', requireAdmin, (req, res) => {
   }
 });
 
+// Mark withdrawal as processing (payment sent to bank)
+app.post('/api/admin/withdrawals/processing', requireAdmin, (req, res) => {
+  const { withdrawalId } = req.body;
+
+  try {
+    withdrawalDb.markProcessing(withdrawalId);
+    res.json({ success: true, message: 'Withdrawal marked as processing' });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
+});
+
+// Mark withdrawal as paid
+app.post('/api/admin/withdrawals/paid', requireAdmin, (req, res) => {
+  const { withdrawalId, payoutReference, remarks } = req.body;
+
+  try {
+    withdrawalDb.markPaid(withdrawalId, payoutReference, remarks);
+    res.json({ success: true, message: 'Withdrawal marked as paid' });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
+});
+
+// Mark withdrawal as failed (amount is refunded to the user)
+app.post('/api/admin/withdrawals/failed', requireAdmin, (req, res) => {
+  const { withdrawalId, payoutReference, remarks } = req.body;
+
+  try {
+    withdrawalDb.markFailed(withdrawalId, payoutReference, remarks);
+    res.json({ success: true, message: 'Withdrawal marked as failed and amount refunded' });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
+});
+
+// ==================== PAYOUT ROUTES ====================
+
+// Export approved withdrawals as a bank bulk-payout CSV (creates a new batch)
+app.post('/api/admin/payouts/export', requireAdmin, (req, res) => {
+  const { withdrawalIds } = req.body;
+
+  try {
+    const batch = payoutDb.createBatch(withdrawalIds);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="payout-batch-${batch.batchId}.csv"`);
+    res.send(buildPayoutCsv(batch.withdrawals));
+  } catch (error) {
+    res.json({ success: false, message: 'Export failed: ' + error.message });
+  }
+});
+
+// Get payout batches
+app.get('/api/admin/payouts/batches', requireAdmin, (req, res) => {
+  const batches = payoutDb.getBatches();
+  res.json({ success: true, batches: withRupees(batches, ['total_amount']) });
+});
+
+// Download an existing batch file again
+app.get('/api/admin/payouts/batches/:batchId/file', requireAdmin, (req, res) => {
+  const withdrawals = payoutDb.getBatchWithdrawals(req.params.batchId);
+
+  if (withdrawals.length === 0) {
+    return res.json({ success: false, message: 'Batch not found' });
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="payout-batch-${req.params.batchId}.csv"`);
+  res.send(buildPayoutCsv(withdrawals));
+});
+
+// Import the bank's settlement/response file and mark withdrawals paid or failed
+app.post('/api/admin/payouts/import', requireAdmin, (req, res) => {
+  const { csv } = req.body;
+
+  if (!csv) {
+    return res.json({ success: false, message: 'Settlement file content required' });
+  }
+
+  try {
+    const parsed = parseSettlementCsv(csv);
+    const summary = payoutDb.applySettlement(parsed.rows);
+    const errors = [...parsed.errors, ...summary.errors].sort((a, b) => a.line - b.line);
+
+    res.json({
+      success: true,
+      message: `${summary.paid} paid, ${summary.failed} failed, ${summary.skipped} already imported, ${errors.length} errors`,
+      paid: summary.paid,
+      failed: summary.failed,
+      skipped: summary.skipped,
+      errors
+    });
+  } catch (error) {
+    res.json({ success: false, message: 'Import failed: ' + error.message });
+  }
+});
+
+// ==================== POSTBACK ROUTES ====================
+
+// Advertiser S2S postback (public, HMAC-signed; see postback.js for the query format).
+// Status codes matter here: partners retry on 5xx and stop on 4xx.
+app.get('/api/postback', (req, res) => {
+  const ip = req.ip;
+  const partner = advertiserDb.getById(parseInt(req.query.partner, 10));
+  if (!partner || !partner.enabled) {
+    return res.status(403).json({ success: false, message: 'Unknown partner' });
+  }
+
+  let postback;
+  try {
+    postback = verifyPostback(req.query, partner.secret);
+  } catch (error) {
+    advertiserDb.logFailure({ partnerId: partner.id, txnId: String(req.query.txn_id || '').slice(0, 100), status: 'invalid', message: error.message, ip });
+    return res.status(403).json({ success: false, message: error.message });
+  }
+
+  try {
+    const result = advertiserDb.applyPostback(partner, postback, ip);
+    res.json({ success: true, message: 'Conversion approved', pendingId: result.pendingId, reward: toRupees(result.reward) });
+  } catch (error) {
+    const replay = error.message === 'Duplicate transaction ID' || error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+    const message = replay ? 'Duplicate transaction ID' : error.message;
+    advertiserDb.logFailure({ ...postback, partnerId: partner.id, status: replay ? 'replay' : 'failed', message, ip });
+    res.status(replay ? 409 : 422).json({ success: false, message: 'Postback failed: ' + message });
+  }
+});
+
+// Get advertiser partners (with their secrets) and the latest postbacks
+app.get('/api/admin/advertisers', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    partners: advertiserDb.getAll(),
+    events: advertiserDb.getEvents(50)
+  });
+});
+
+// Add an advertiser partner; the generated secret is returned once here and shown in the admin list
+app.post('/api/admin/advertisers/create', requireAdmin, (req, res) => {
+  const name = String(req.body.name || '').trim();
+
+  try {
+    if (!name || name.length > 60) {
+      throw new Error('Partner name is required (max 60 characters)');
+    }
+    const secret = generatePartnerSecret();
+    const result = advertiserDb.create(name, secret, req.adminName);
+    res.json({ success: true, partnerId: result.lastInsertRowid, secret, message: 'Partner created' });
+  } catch (error) {
+    res.json({ success: false, message: 'Creation failed: ' + error.message });
+  }
+});
+
+// Replace a partner's secret (the old one stops working at once)
+app.post('/api/admin/advertisers/rotate-secret', requireAdmin, (req, res) => {
+  try {
+    const secret = generatePartnerSecret();
+    advertiserDb.rotateSecret(req.body.partnerId, secret);
+    res.json({ success: true, secret, message: 'Secret rotated' });
+  } catch (error) {
+    res.json({ success: false, message: 'Rotation failed: ' + error.message });
+  }
+});
+
+// Enable/disable a partner's postbacks
+app.post('/api/admin/advertisers/toggle', requireAdmin, (req, res) => {
+  const { partnerId, enabled } = req.body;
+
+  try {
+    advertiserDb.setEnabled(partnerId, enabled);
+    res.json({ success: true, message: enabled ? 'Partner enabled' : 'Partner disabled' });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
+});
+
+// Set which tasks a partner's postbacks can approve
+app.post('/api/admin/advertisers/tasks', requireAdmin, (req, res) => {
+  const { partnerId, taskIds } = req.body;
+
+  try {
+    const ids = [...new Set((Array.isArray(taskIds) ? taskIds : []).map(Number))];
+    if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+      throw new Error('Invalid task ID');
+    }
+    advertiserDb.setTasks(partnerId, ids);
+    res.json({ success: true, message: 'Partner tasks updated' });
+  } catch (error) {
+    res.json({ success: false, message: 'Update failed: ' + error.message });
+  }
+});
+
 // ==================== HTML ROUTES ====================
 
 app.get('/', (req, res) => {
@@ -0,0 +1,233 @@
+// Monthly wallet statements as CSV or PDF (built from transactionDb.getStatement)
+
+const { toRupeeString } = require('./money');
+const { toCsvLine, toCsvText } = require('./csv');
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// "2025-03" -> "March 2025"
+function formatMonth(month) {
+  const [year, monthNumber] = month.split('-');
+  return `${MONTH_NAMES[parseInt(monthNumber, 10) - 1]} ${year}`;
+}
+
+// Transactions with the wallet balance after each one
+function withRunningBalance(statement) {
+  let balance = statement.openingBalance;
+  return statement.transactions.map(t => {
+    balance += t.amount;
+    return { ...t, balance };
+  });
+}
+
+function buildStatementCsv(user, statement) {
+  const lines = [
+    toCsvLine(['CashByKing Wallet Statement']),
+    toCsvLine(['Account', toCsvText(`${user.name} (${user.username})`)]),
+    toCsvLine(['Period', `${formatMonth(statement.month)} (UTC)`]),
+    toCsvLine(['Opening Balance', toRupeeString(statement.openingBalance)]),
+    '',
+    toCsvLine(['Date', 'Type', 'Description', 'Credit', 'Debit', 'Balance'])
+  ];
+
+  for (const t of withRunningBalance(statement)) {
+    lines.push(toCsvLine([
+      t.created_at,
+      t.type,
+      toCsvText(t.reason),
+      t.amount > 0 ? toRupeeString(t.amount) : '',
+      t.amount < 0 ? toRupeeString(-t.amount) : '',
+      toRupeeString(t.balance)
+    ]));
+  }
+
+  lines.push('', toCsvLine(['Type', 'Count', 'Credits', 'Debits', 'Net']));
+  for (const total of statement.totalsByType) {
+    lines.push(toCsvLine([total.type, total.count, toRupeeString(total.credits), toRupeeString(total.debits), toRupeeString(total.net)]));
+  }
+
+  lines.push(
+    '',
+    toCsvLine(['Total Credits', toRupeeString(statement.totalCredits)]),
+    toCsvLine(['Total Debits', toRupeeString(statement.totalDebits)]),
+    toCsvLine(['Closing Balance', toRupeeString(statement.closingBalance)])
+  );
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---- PDF ----
+// A small single-font PDF writer (text only), enough for a tabular statement without a PDF dependency.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const LINE_HEIGHT = 13;
+
+// The standard Helvetica font only covers Latin-1, so anything else (₹, emoji, Devanagari) is replaced
+function toPdfText(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/₹/g, 'Rs.')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+function truncate(text, length) {
+  const value = String(text || '');
+  return value.length > length ? value.slice(0, length - 3) + '...' : value;
+}
+
+// Lays out lines of { text, x, bold, size } into pages of PDF content streams
+function createPdfLayout() {
+  const pages = [];
+  let current = null;
+  let y = 0;
+
+  const newPage = () => {
+    current = [];
+    pages.push(current);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  newPage();
+
+  return {
+    pages,
+    // cells: [{ text, x, bold, size, align: 'right' }]
+    row: (cells, gap = LINE_HEIGHT) => {
+      if (y - gap < MARGIN) newPage();
+      y -= gap;
+      for (const cell of cells.filter(c => c.text !== '')) {
+        const size = cell.size || 9;
+        const font = cell.bold ? 'F2' : 'F1';
+        // Helvetica digits are ~0.556em wide; right-aligned cells are numbers
+        const x = cell.align === 'right' ? cell.x - String(cell.text).length * size * 0.556 : cell.x;
+        current.push(`BT /${font} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${toPdfText(cell.text)}) Tj ET`);
+      }
+    },
+    rule: () => {
+      y -= 4;
+      current.push(`${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l 0.5 w S`);
+    }
+  };
+}
+
+function renderPdf(pages) {
+  const objects = [];
+  const addObject = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map((commands, index) => {
+    const stream = commands.concat(`BT /F1 8 Tf ${PAGE_WIDTH - MARGIN - 50} 20 Td (Page ${index + 1} of ${pages.length}) Tj ET`).join('\n');
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+function buildStatementPdf(user, statement) {
+  const layout = createPdfLayout();
+  const right = PAGE_WIDTH - MARGIN;
+  const columns = { date: MARGIN, type: MARGIN + 95, description: MARGIN + 195, credit: right - 130, debit: right - 65, balance: right };
+
+  layout.row([{ text: 'CashByKing Wallet Statement', x: MARGIN, bold: true, size: 16 }], 18);
+  layout.row([{ text: `${user.name} (${user.username}) - ${user.email}`, x: MARGIN, size: 10 }], 18);
+  layout.row([{ text: `Period: ${formatMonth(statement.month)} (UTC)`, x: MARGIN, size: 10 }]);
+  layout.row([
+    { text: 'Opening balance:', x: MARGIN, size: 10 },
+    { text: `Rs. ${toRupeeString(statement.openingBalance)}`, x: MARGIN + 110, bold: true, size: 10 }
+  ], 16);
+  layout.row([
+    { text: 'Closing balance:', x: MARGIN, size: 10 },
+    { text: `Rs. ${toRupeeString(statement.closingBalance)}`, x: MARGIN + 110, bold: true, size: 10 }
+  ]);
+
+  layout.row([
+    { text: 'Date', x: columns.date, bold: true },
+    { text: 'Type', x: columns.type, bold: true },
+    { text: 'Description', x: columns.description, bold: true },
+    { text: 'Credit', x: columns.credit, bold: true, align: 'right' },
+    { text: 'Debit', x: columns.debit, bold: true, align: 'right' },
+    { text: 'Balance', x: columns.balance, bold: true, align: 'right' }
+  ], 24);
+  layout.rule();
+
+  const rows = withRunningBalance(statement);
+  if (rows.length === 0) {
+    layout.row([{ text: 'No transactions in this period', x: MARGIN }], 16);
+  }
+
+  for (const t of rows) {
+    layout.row([
+      { text: t.created_at, x: columns.date },
+      { text: truncate(t.type, 18), x: columns.type },
+      { text: truncate(t.reason, 30), x: columns.description },
+      { text: t.amount > 0 ? toRupeeString(t.amount) : '', x: columns.credit, align: 'right' },
+      { text: t.amount < 0 ? toRupeeString(-t.amount) : '', x: columns.debit, align: 'right' },
+      { text: toRupeeString(t.balance), x: columns.balance, align: 'right' }
+    ]);
+  }
+
+  layout.row([{ text: 'Totals by type', x: MARGIN, bold: true, size: 11 }], 28);
+  layout.row([
+    { text: 'Type', x: columns.date, bold: true },
+    { text: 'Count', x: columns.description, bold: true },
+    { text: 'Credits', x: columns.credit, bold: true, align: 'right' },
+    { text: 'Debits', x: columns.debit, bold: true, align: 'right' },
+    { text: 'Net', x: columns.balance, bold: true, align: 'right' }
+  ], 16);
+  layout.rule();
+
+  for (const total of statement.totalsByType) {
+    layout.row([
+      { text: total.type, x: columns.date },
+      { text: String(total.count), x: columns.description },
+      { text: toRupeeString(total.credits), x: columns.credit, align: 'right' },
+      { text: toRupeeString(total.debits), x: columns.debit, align: 'right' },
+      { text: toRupeeString(total.net), x: columns.balance, align: 'right' }
+    ]);
+  }
+
+  layout.rule();
+  layout.row([
+    { text: 'Total', x: columns.date, bold: true },
+    { text: toRupeeString(statement.totalCredits), x: columns.credit, bold: true, align: 'right' },
+    { text: toRupeeString(statement.totalDebits), x: columns.debit, bold: true, align: 'right' },
+    { text: toRupeeString(statement.closingBalance - statement.openingBalance), x: columns.balance, bold: true, align: 'right' }
+  ], 16);
+
+  return renderPdf(layout.pages);
+}
+
+module.exports = {
+  buildStatementCsv,
+  buildStatementPdf
+};
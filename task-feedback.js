@@ -0,0 +1,51 @@
+// User feedback on tasks (validating ratings, reviews and broken-task reports)
+
+// What a user can report about a task
+const TASK_REPORT_CATEGORIES = {
+  dead_link: 'Link not working',
+  wrong_instructions: 'Instructions are wrong',
+  not_available: 'Offer not available',
+  other: 'Other'
+};
+
+// Tasks with at least this many open reports are flagged in the admin panel
+const TASK_REPORT_FLAG_THRESHOLD = 3;
+
+const MAX_REVIEW_LENGTH = 500;
+const MAX_REPORT_DETAILS_LENGTH = 500;
+
+// { rating: 1-5, review } -> stored values
+function normalizeReview(input) {
+  const rating = Number(input.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new Error('Rating must be from 1 to 5 stars');
+  }
+  const review = String(input.review || '').trim();
+  if (review.length > MAX_REVIEW_LENGTH) {
+    throw new Error(`Review cannot be longer than ${MAX_REVIEW_LENGTH} characters`);
+  }
+  return { rating, review };
+}
+
+// { category, details } -> stored values; "other" needs details so we know what's wrong
+function normalizeReport(input) {
+  const category = String(input.category || '').trim();
+  if (!TASK_REPORT_CATEGORIES[category]) {
+    throw new Error(`Report category must be one of ${Object.keys(TASK_REPORT_CATEGORIES).join(', ')}`);
+  }
+  const details = String(input.details || '').trim();
+  if (category === 'other' && !details) {
+    throw new Error('Tell us what is wrong with the task');
+  }
+  if (details.length > MAX_REPORT_DETAILS_LENGTH) {
+    throw new Error(`Details cannot be longer than ${MAX_REPORT_DETAILS_LENGTH} characters`);
+  }
+  return { category, details };
+}
+
+module.exports = {
+  TASK_REPORT_CATEGORIES,
+  TASK_REPORT_FLAG_THRESHOLD,
+  normalizeReview,
+  normalizeReport
+};
@@ -0,0 +1,176 @@
+// Structured task steps (validating an admin's steps, hiding answers from users, checking a submission)
+//
+// tasks.steps holds a JSON array of steps:
+//   { type: 'info', text }                                    plain instruction, nothing to enter
+//   { type: 'visit', text, url }                              link the user opens
+//   { type: 'code', text, required, answer }                  code the user finds and types in
+//   { type: 'question', text, required, answer, options }     quiz question (options = multiple choice)
+//   { type: 'screenshot', text, required }                    screenshot of this step
+// `answer` is optional; when set the server checks the input (trimmed, case and spacing ignored).
+
+const STEP_TYPES = ['info', 'visit', 'code', 'question', 'screenshot'];
+
+// Step types the user enters something for
+const INPUT_STEP_TYPES = ['code', 'question', 'screenshot'];
+
+const MAX_STEPS = 20;
+const MAX_STEP_TEXT_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 200;
+const MAX_OPTIONS = 6;
+
+function normalizeAnswer(value) {
+  return String(value === null || value === undefined ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Steps saved before they were structured are newline-separated text; read those as info steps
+function parseSteps(stored) {
+  const text = String(stored || '').trim();
+  if (!text) return [];
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {} // Not JSON after all, fall through to plain lines
+  }
+  return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => ({ type: 'info', text: line }));
+}
+
+function normalizeStepUrl(value, label) {
+  const text = String(value || '').trim();
+  let url;
+  try {
+    url = new URL(text);
+  } catch (e) {
+    throw new Error(`${label}: link is not valid`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`${label}: link must start with http:// or https://`);
+  }
+  return url.toString();
+}
+
+// Validate an admin's steps (array of steps, or the old one-step-per-line text) into the stored JSON.
+// Returns '' when the task has no steps.
+function normalizeSteps(input) {
+  const raw = Array.isArray(input) ? input : parseSteps(input);
+  if (raw.length > MAX_STEPS) {
+    throw new Error(`A task can have at most ${MAX_STEPS} steps`);
+  }
+
+  const steps = raw.map((step, index) => {
+    const label = `Step ${index + 1}`;
+    const type = String(step.type || 'info').trim().toLowerCase();
+    if (!STEP_TYPES.includes(type)) {
+      throw new Error(`${label}: unknown step type "${type}"`);
+    }
+
+    const text = String(step.text || '').trim();
+    if (!text) {
+      throw new Error(`${label}: instruction text is required`);
+    }
+    if (text.length > MAX_STEP_TEXT_LENGTH) {
+      throw new Error(`${label}: instruction cannot be longer than ${MAX_STEP_TEXT_LENGTH} characters`);
+    }
+
+    const normalized = { type, text };
+    if (type === 'visit') {
+      normalized.url = normalizeStepUrl(step.url, label);
+    }
+    if (INPUT_STEP_TYPES.includes(type)) {
+      normalized.required = step.required === undefined ? true : Boolean(step.required);
+    }
+
+    if (type === 'question') {
+      const options = (Array.isArray(step.options) ? step.options : String(step.options || '').split('\n'))
+        .map(option => String(option).trim())
+        .filter(Boolean);
+      if (options.length > MAX_OPTIONS) {
+        throw new Error(`${label}: a question can have at most ${MAX_OPTIONS} options`);
+      }
+      if (options.length === 1) {
+        throw new Error(`${label}: a multiple choice question needs at least 2 options`);
+      }
+      if (options.length > 0) normalized.options = options;
+    }
+
+    if (type === 'code' || type === 'question') {
+      const answer = String(step.answer || '').trim();
+      if (answer.length > MAX_ANSWER_LENGTH) {
+        throw new Error(`${label}: answer cannot be longer than ${MAX_ANSWER_LENGTH} characters`);
+      }
+      if (normalized.options && answer && !normalized.options.some(option => normalizeAnswer(option) === normalizeAnswer(answer))) {
+        throw new Error(`${label}: the answer must be one of the options`);
+      }
+      if (answer) normalized.answer = answer;
+    }
+
+    return normalized;
+  });
+
+  return steps.length > 0 ? JSON.stringify(steps) : '';
+}
+
+// Steps as users see them: expected answers are replaced by `checked`
+function publicSteps(stored) {
+  return parseSteps(stored).map(step => {
+    const { answer, ...rest } = step;
+    return INPUT_STEP_TYPES.includes(step.type) ? { ...rest, checked: Boolean(answer) } : rest;
+  });
+}
+
+// Whether any step has an expected answer the server can check
+function hasCheckedSteps(stored) {
+  return parseSteps(stored).some(step => step.answer);
+}
+
+function hasScreenshotSteps(stored) {
+  return parseSteps(stored).some(step => step.type === 'screenshot');
+}
+
+// Check a submission's step inputs against the task's steps.
+// input: [answer per step index] (screenshot steps take a data URL, other steps are ignored)
+// Returns { answers: [{ stepIndex, kind, value, correct }], screenshots: [{ stepIndex, dataUrl }] };
+// throws when a required step was left empty.
+function checkStepAnswers(stored, input) {
+  const given = Array.isArray(input) ? input : [];
+  const answers = [];
+  const screenshots = [];
+
+  parseSteps(stored).forEach((step, index) => {
+    if (!INPUT_STEP_TYPES.includes(step.type)) return;
+    const value = given[index];
+    const label = `Step ${index + 1}`;
+
+    if (step.type === 'screenshot') {
+      if (value) {
+        screenshots.push({ stepIndex: index, dataUrl: value });
+      } else if (step.required) {
+        throw new Error(`${label}: screenshot is required`);
+      }
+      return;
+    }
+
+    const text = String(value === null || value === undefined ? '' : value).trim();
+    if (!text) {
+      if (step.required) throw new Error(`${label}: answer is required`);
+      return;
+    }
+    if (text.length > MAX_ANSWER_LENGTH) {
+      throw new Error(`${label}: answer cannot be longer than ${MAX_ANSWER_LENGTH} characters`);
+    }
+
+    const correct = step.answer ? normalizeAnswer(text) === normalizeAnswer(step.answer) : null;
+    answers.push({ stepIndex: index, kind: step.type, value: text, correct });
+  });
+
+  return { answers, screenshots };
+}
+
+module.exports = {
+  STEP_TYPES,
+  parseSteps,
+  normalizeSteps,
+  publicSteps,
+  hasCheckedSteps,
+  hasScreenshotSteps,
+  checkStepAnswers
+};
@@ -0,0 +1,71 @@
+// Shared setup for the database tests: a fresh in-memory database per test file (node --test runs
+// each file in its own process) and small factories for users and tasks.
+
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../database');
+
+let initialized = false;
+let userCount = 0;
+
+// Run the schema setup and migrations without the progress it logs
+function initializeQuietly() {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    database.initializeDatabase();
+  } finally {
+    console.log = log;
+  }
+}
+
+// Create the schema once per test file
+function setupDatabase() {
+  if (!initialized) {
+    initializeQuietly();
+    initialized = true;
+  }
+  return database;
+}
+
+// A user with `balance` paise in their wallet, posted through the ledger so reconcile() agrees
+function createUser(balance = 0) {
+  userCount++;
+  const id = database.userDb.create({
+    username: `user${userCount}`,
+    name: `Test User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    phone: `90000${String(userCount).padStart(5, '0')}`,
+    upi: 'pending',
+    password: 'secret123'
+  }).lastInsertRowid;
+
+  if (balance > 0) {
+    database.ledgerDb.post(id, balance, 'admin_credit', 'Test balance');
+  }
+  return id;
+}
+
+// A live task paying `price` paise; returns its ID
+function createTask(fields = {}) {
+  database.taskDb.create({
+    title: 'Test task',
+    description: 'Test task description',
+    instruction: 'Do the thing',
+    price: 1000,
+    ...fields
+  });
+  return database.db.prepare('SELECT MAX(id) as id FROM tasks').get().id;
+}
+
+function getUser(userId) {
+  return database.db.prepare('SELECT balance, held_balance FROM users WHERE id = ?').get(userId);
+}
+
+module.exports = {
+  initializeQuietly,
+  setupDatabase,
+  createUser,
+  createTask,
+  getUser
+};
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createUser, getUser } = require('./helpers');
+
+const { db, ledgerDb, withdrawalDb } = setupDatabase();
+
+test('hold, release and settle move funds between wallet, hold and payouts', () => {
+  const userId = createUser(10000);
+
+  const hold = ledgerDb.hold(userId, 4000, 'Test hold');
+  assert.deepEqual(getUser(userId), { balance: 6000, held_balance: 4000 });
+
+  ledgerDb.release(userId, 4000, 'Test release');
+  assert.deepEqual(getUser(userId), { balance: 10000, held_balance: 0 });
+
+  const payout = ledgerDb.hold(userId, 2500, 'Test payout');
+  ledgerDb.settle(payout.transactionId, userId, 2500);
+  assert.deepEqual(getUser(userId), { balance: 7500, held_balance: 0 });
+
+  // Settling adds its entries to the hold transaction, which still balances to zero
+  const entries = ledgerDb.getEntriesByTransaction(payout.transactionId);
+  assert.equal(entries.length, 4);
+  assert.equal(entries.reduce((sum, entry) => sum + entry.amount, 0), 0);
+  assert.ok(hold.transactionId < payout.transactionId);
+
+  assert.equal(ledgerDb.getUserBalance(userId), 7500);
+  assert.equal(ledgerDb.getUserHeld(userId), 0);
+});
+
+test('a hold cannot take more than the available balance', () => {
+  const userId = createUser(1000);
+  ledgerDb.hold(userId, 800, 'Test hold');
+
+  assert.throws(() => ledgerDb.hold(userId, 300, 'Too much'), /Insufficient available balance/);
+  assert.deepEqual(getUser(userId), { balance: 200, held_balance: 800 });
+});
+
+test('amounts must be integer paise', () => {
+  const userId = createUser(1000);
+  assert.throws(() => ledgerDb.hold(userId, 10.5, 'Fractional'));
+  assert.throws(() => ledgerDb.post(userId, '100', 'admin_credit', 'Text'));
+});
+
+test('pending withdrawals from before holds are held, or rejected when the balance is gone', () => {
+  const userId = createUser(5083);
+  const insert = db.prepare(`
+    INSERT INTO withdrawals (user_id, amount, payment_method, payment_details, status, request_date)
+    VALUES (?, ?, 'upi', 'test@okaxis', 'pending', ?)
+  `);
+  const covered = insert.run(userId, 5000, '2024-01-01 10:00:00').lastInsertRowid;
+  const uncovered = insert.run(userId, 3000, '2024-01-02 10:00:00').lastInsertRowid;
+
+  assert.deepEqual(withdrawalDb.holdUnheldRequests(), { held: 1, rejected: 1 });
+  assert.deepEqual(getUser(userId), { balance: 83, held_balance: 5000 });
+  assert.equal(db.prepare('SELECT status FROM withdrawals WHERE id = ?').get(uncovered).status, 'rejected');
+
+  // Approving settles the hold instead of debiting the wallet a second time
+  withdrawalDb.approve(covered, 'Test approval');
+  assert.deepEqual(getUser(userId), { balance: 83, held_balance: 0 });
+
+  // Nothing is left to hold on the next start
+  assert.deepEqual(withdrawalDb.holdUnheldRequests(), { held: 0, rejected: 0 });
+});
+
+test('the ledger reconciles with the cached balances', () => {
+  const report = ledgerDb.reconcile();
+  assert.ok(report.usersChecked > 0);
+  assert.deepEqual(report.mismatches, []);
+  assert.deepEqual(report.unbalancedTransactions, []);
+});
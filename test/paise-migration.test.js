@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeQuietly, setupDatabase, createUser, createTask } = require('./helpers');
+
+const { db } = setupDatabase();
+
+// Put rupee REAL values back the way databases from before the migration stored them
+function storeRupees(userId, taskId, withdrawalId) {
+  db.prepare('UPDATE users SET balance = 12.5, held_balance = 50.83 WHERE id = ?').run(userId);
+  db.prepare('UPDATE tasks SET price = 7.25 WHERE id = ?').run(taskId);
+  db.prepare('UPDATE withdrawals SET amount = 50.83 WHERE id = ?').run(withdrawalId);
+  db.prepare('UPDATE transactions SET amount = 0.1 WHERE user_id = ?').run(userId);
+}
+
+function readAmounts(userId, taskId, withdrawalId) {
+  return {
+    user: db.prepare('SELECT balance, held_balance FROM users WHERE id = ?').get(userId),
+    price: db.prepare('SELECT price FROM tasks WHERE id = ?').get(taskId).price,
+    withdrawal: db.prepare('SELECT amount FROM withdrawals WHERE id = ?').get(withdrawalId).amount,
+    transactions: db.prepare('SELECT amount FROM transactions WHERE user_id = ?').all(userId).map(t => t.amount)
+  };
+}
+
+test('a database from before the migration is converted to paise once', () => {
+  assert.equal(db.pragma('user_version', { simple: true }), 1);
+
+  const userId = createUser(100);
+  const taskId = createTask();
+  const withdrawalId = db.prepare(`
+    INSERT INTO withdrawals (user_id, amount, payment_method, payment_details, status, request_date)
+    VALUES (?, 1, 'upi', 'test@okaxis', 'paid', datetime('now'))
+  `).run(userId).lastInsertRowid;
+
+  storeRupees(userId, taskId, withdrawalId);
+  db.pragma('user_version = 0');
+
+  initializeQuietly();
+
+  const expected = {
+    user: { balance: 1250, held_balance: 5083 },
+    price: 725,
+    withdrawal: 5083,
+    transactions: [10]
+  };
+  assert.deepEqual(readAmounts(userId, taskId, withdrawalId), expected);
+  assert.equal(db.pragma('user_version', { simple: true }), 1);
+
+  // Starting again leaves the amounts alone
+  initializeQuietly();
+  initializeQuietly();
+  assert.deepEqual(readAmounts(userId, taskId, withdrawalId), expected);
+});
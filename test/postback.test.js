@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signPostback, verifyPostback, POSTBACK_MAX_AGE_SECONDS } = require('../postback');
+const { setupDatabase, createUser, createTask, getUser } = require('./helpers');
+
+const { db, advertiserDb } = setupDatabase();
+
+const SECRET = 'a'.repeat(64);
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 0);
+
+function signedQuery(fields, secret = SECRET) {
+  const query = { partner: '1', ts: String(NOW / 1000), ...fields };
+  return { ...query, sig: signPostback(query, secret) };
+}
+
+function createPartner(name) {
+  const partnerId = advertiserDb.create(name, SECRET, 'test').lastInsertRowid;
+  const taskId = createTask({ price: 2500 });
+  advertiserDb.setTasks(partnerId, [taskId]);
+  return { partner: advertiserDb.getById(partnerId), taskId };
+}
+
+test('a correctly signed postback is read into its fields', () => {
+  const query = signedQuery({ user_id: '7', task_id: '3', txn_id: 'ADV-001' });
+  assert.deepEqual(verifyPostback(query, SECRET, NOW), { userId: 7, taskId: 3, txnId: 'ADV-001', timestamp: NOW / 1000 });
+});
+
+test('postbacks with a wrong or missing signature are refused', () => {
+  const query = signedQuery({ user_id: '7', task_id: '3', txn_id: 'ADV-001' });
+
+  assert.throws(() => verifyPostback(query, 'b'.repeat(64), NOW), /Invalid signature/);
+  assert.throws(() => verifyPostback({ ...query, user_id: '8' }, SECRET, NOW), /Invalid signature/);
+  assert.throws(() => verifyPostback({ ...query, sig: '' }, SECRET, NOW), /Invalid signature/);
+  assert.throws(() => verifyPostback({ ...query, sig: 'zz' }, SECRET, NOW), /Invalid signature/);
+});
+
+test('stale postbacks and repeated parameters are refused', () => {
+  const query = signedQuery({ user_id: '7', task_id: '3', txn_id: 'ADV-001' });
+  const later = NOW + (POSTBACK_MAX_AGE_SECONDS + 1) * 1000;
+
+  assert.throws(() => verifyPostback(query, SECRET, later), /too old/);
+  assert.throws(() => verifyPostback({ ...query, txn_id: ['ADV-001', 'ADV-002'] }, SECRET, NOW), /must appear once/);
+});
+
+test('a postback approves the submission and pays once per transaction ID', () => {
+  const { partner, taskId } = createPartner('Ad Network');
+  const userId = createUser();
+
+  const result = advertiserDb.applyPostback(partner, { userId, taskId, txnId: 'ADV-100' }, '127.0.0.1');
+  assert.equal(result.created, true);
+  assert.equal(result.reward, 2500);
+  assert.equal(getUser(userId).balance, 2500);
+
+  assert.throws(
+    () => advertiserDb.applyPostback(partner, { userId, taskId, txnId: 'ADV-100' }, '127.0.0.1'),
+    /Duplicate transaction ID/
+  );
+  assert.equal(getUser(userId).balance, 2500);
+
+  const events = db.prepare(`SELECT COUNT(*) as count FROM postback_events WHERE partner_id = ? AND status = 'approved'`).get(partner.id);
+  assert.equal(events.count, 1);
+});
+
+test('a postback can only approve the partner\'s own tasks', () => {
+  const { partner } = createPartner('First Network');
+  const other = createPartner('Second Network');
+  const userId = createUser();
+
+  assert.throws(
+    () => advertiserDb.applyPostback(partner, { userId, taskId: other.taskId, txnId: 'ADV-200' }, ''),
+    /not linked to this partner/
+  );
+  assert.equal(getUser(userId).balance, 0);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, createUser, getUser } = require('./helpers');
+
+const { db, proposalDb, ledgerDb } = setupDatabase();
+
+test('the proposer cannot approve their own proposal', () => {
+  const userId = createUser();
+  const proposalId = proposalDb.create('adjustment', [userId], 50000, 'Refund', 'ravi').lastInsertRowid;
+
+  assert.throws(() => proposalDb.approve(proposalId, 'ravi'), /different admin/);
+  assert.equal(getUser(userId).balance, 0);
+  assert.equal(db.prepare('SELECT status FROM balance_proposals WHERE id = ?').get(proposalId).status, 'pending');
+});
+
+test('a second admin applies the proposal to every listed user once', () => {
+  const first = createUser(1000);
+  const second = createUser();
+  const proposalId = proposalDb.create('bulk_bonus', [first, second], 20000, 'Festival bonus', 'ravi').lastInsertRowid;
+
+  proposalDb.approve(proposalId, 'neha');
+
+  assert.equal(getUser(first).balance, 21000);
+  assert.equal(getUser(second).balance, 20000);
+
+  const proposal = db.prepare('SELECT status, reviewed_by FROM balance_proposals WHERE id = ?').get(proposalId);
+  assert.deepEqual(proposal, { status: 'approved', reviewed_by: 'neha' });
+
+  // Each user's credit is linked to its ledger transaction
+  const users = proposalDb.getUsers(proposalId);
+  assert.equal(users.length, 2);
+  for (const user of users) {
+    assert.ok(user.transaction_id);
+    assert.equal(ledgerDb.getEntriesByTransaction(user.transaction_id).reduce((sum, e) => sum + e.amount, 0), 0);
+  }
+
+  assert.throws(() => proposalDb.approve(proposalId, 'amit'), /already approved/);
+  assert.equal(getUser(second).balance, 20000);
+});
+
+test('a debit proposal posts admin_debit transactions', () => {
+  const userId = createUser(30000);
+  const proposalId = proposalDb.create('adjustment', [userId], -15000, 'Reverse duplicate credit', 'ravi').lastInsertRowid;
+
+  proposalDb.approve(proposalId, 'neha');
+
+  assert.equal(getUser(userId).balance, 15000);
+  const { type } = db.prepare('SELECT type FROM transactions WHERE user_id = ? ORDER BY id DESC LIMIT 1').get(userId);
+  assert.equal(type, 'admin_debit');
+});
+
+test('a rejected proposal cannot be approved', () => {
+  const userId = createUser();
+  const proposalId = proposalDb.create('adjustment', [userId], 50000, 'Refund', 'ravi').lastInsertRowid;
+
+  proposalDb.reject(proposalId, 'neha', 'Not justified');
+
+  assert.throws(() => proposalDb.approve(proposalId, 'amit'), /already rejected/);
+  assert.equal(getUser(userId).balance, 0);
+});
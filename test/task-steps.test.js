@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSteps, checkStepAnswers } = require('../task-steps');
+const { setupDatabase, createUser, createTask, getUser } = require('./helpers');
+
+const { db, pendingTaskDb } = setupDatabase();
+
+const QUIZ_STEPS = normalizeSteps([
+  { type: 'info', text: 'Install the app' },
+  { type: 'code', text: 'Enter the code from the welcome screen', required: true, answer: 'WELCOME-42' },
+  { type: 'question', text: 'Which plan did you pick?', required: true, options: ['Free', 'Pro', 'Team'], answer: 'Pro' },
+  { type: 'question', text: 'Anything to add?', required: false }
+]);
+
+test('answers are checked ignoring case, spacing and surrounding whitespace', () => {
+  const { answers, screenshots } = checkStepAnswers(QUIZ_STEPS, [null, '  welcome 42 ', 'pro', 'Great app']);
+
+  assert.deepEqual(screenshots, []);
+  assert.deepEqual(answers.map(a => [a.stepIndex, a.correct]), [[1, false], [2, true], [3, null]]);
+
+  const exact = checkStepAnswers(QUIZ_STEPS, [null, ' welcome-42 ', 'PRO']);
+  assert.deepEqual(exact.answers.map(a => [a.stepIndex, a.correct]), [[1, true], [2, true]]);
+});
+
+test('required steps must be answered and answers have a length limit', () => {
+  assert.throws(() => checkStepAnswers(QUIZ_STEPS, [null, 'WELCOME-42']), /Step 3: answer is required/);
+  assert.throws(() => checkStepAnswers(QUIZ_STEPS, [null, 'x'.repeat(10000), 'Pro']), /Step 2: answer cannot be longer/);
+});
+
+test('screenshot steps are returned separately and can be required', () => {
+  const steps = normalizeSteps([{ type: 'screenshot', text: 'Show your profile', required: true }]);
+
+  assert.throws(() => checkStepAnswers(steps, []), /Step 1: screenshot is required/);
+  assert.deepEqual(checkStepAnswers(steps, ['data:image/png;base64,AAAA']).screenshots, [
+    { stepIndex: 0, dataUrl: 'data:image/png;base64,AAAA' }
+  ]);
+});
+
+test('with auto-verify, correct answers approve and pay the submission', () => {
+  const taskId = createTask({ price: 1500, steps: QUIZ_STEPS, auto_verify_steps: true });
+  const userId = createUser();
+
+  const { answers } = checkStepAnswers(QUIZ_STEPS, [null, 'WELCOME-42', 'Pro']);
+  const { autoReview } = pendingTaskDb.create(userId, taskId, answers);
+
+  assert.equal(autoReview.action, 'approve');
+  assert.equal(getUser(userId).balance, 1500);
+});
+
+test('a wrong answer is rejected without naming the step and cannot be resubmitted', () => {
+  const taskId = createTask({ price: 1500, steps: QUIZ_STEPS, auto_verify_steps: true, max_resubmissions: 3 });
+  const userId = createUser();
+
+  const { answers } = checkStepAnswers(QUIZ_STEPS, [null, 'WELCOME-42', 'Free']);
+  const { autoReview } = pendingTaskDb.create(userId, taskId, answers);
+
+  assert.equal(autoReview.action, 'reject');
+  assert.doesNotMatch(autoReview.reason, /step/i);
+  assert.equal(getUser(userId).balance, 0);
+
+  // Trying the next option is refused, however many resubmissions the task allows
+  const retry = checkStepAnswers(QUIZ_STEPS, [null, 'WELCOME-42', 'Pro']).answers;
+  assert.throws(() => pendingTaskDb.create(userId, taskId, retry), /can't be resubmitted after a wrong step answer/);
+  assert.equal(getUser(userId).balance, 0);
+
+  const [submission] = pendingTaskDb.getByUserId(userId);
+  assert.equal(submission.can_resubmit, 0);
+});
+
+test('a submission rejected by a reviewer can still be resubmitted', () => {
+  const steps = normalizeSteps([{ type: 'question', text: 'Your username in the app?', required: true }]);
+  const taskId = createTask({ steps, max_resubmissions: 1 });
+  const userId = createUser();
+
+  const first = pendingTaskDb.create(userId, taskId, checkStepAnswers(steps, ['ravi']).answers);
+  assert.equal(first.autoReview, null);
+  pendingTaskDb.reject(first.lastInsertRowid, 'Username not found', 'neha');
+
+  assert.equal(pendingTaskDb.getByUserId(userId)[0].can_resubmit, 1);
+  const second = pendingTaskDb.create(userId, taskId, checkStepAnswers(steps, ['ravi_k']).answers);
+  assert.equal(db.prepare('SELECT attempt FROM pending_tasks WHERE id = ?').get(second.lastInsertRowid).attempt, 2);
+});